@@ -1,31 +1,84 @@
 /**
  * Agent runner - runs inside the container.
  * Reads ContainerInput from stdin, drives the Claude Agent SDK,
- * and writes sentinel-delimited ContainerOutput to stdout.
+ * and writes sentinel-delimited ContainerOutput to stdout. Besides the final
+ * `type: 'result'` output of each query, progress events (text deltas, tool
+ * use, thinking, errors) are written as they happen.
  *
  * Environment variables (set by host):
  *   JSCLAW_CHAT_JID       - Chat identifier
  *   JSCLAW_GROUP_FOLDER    - Group folder name
  *   JSCLAW_IS_MAIN         - 'true' if admin group
+ *   JSCLAW_CAPABILITIES    - JSON { role, capabilities, sendTo }, passed on to the MCP server
  *   JSCLAW_SYSTEM_PROMPT   - Optional additional system prompt
- *   JSCLAW_ALLOWED_TOOLS   - Optional JSON array of allowed tools
- *   ANTHROPIC_API_KEY      - Required for Claude API access
+ *   JSCLAW_ALLOWED_TOOLS   - Optional JSON array of allowed tools; calls to others are denied
+ *   JSCLAW_IDLE_TIMEOUT    - ms to wait for the next message before exiting (0 = until closed)
+ *   JSCLAW_CONTAINER_TIMEOUT - The host's silence timeout in ms; caps tool approval waits and is passed on to the MCP server
+ *
+ * The last output before a clean exit is a result with a null `result`, the
+ * session ID and a `reason`: 'closed' after the host's close sentinel, 'idle'
+ * when no message arrived within JSCLAW_IDLE_TIMEOUT.
+ *
+ * Secrets arrive in the stdin payload rather than the container environment:
+ * `secrets` holds the SDK credential (ANTHROPIC_API_KEY or
+ * CLAUDE_CODE_OAUTH_TOKEN), `toolSecrets` the ones the host chose to expose
+ * to tools. Both go into the SDK's environment, which its Bash tool inherits,
+ * so the agent can read them; nothing else the host knows is sent.
+ *
+ * The payload's `ipcAuth` ({ runId, key }) signs every file written to the
+ * host's messages and tasks directories (see src/ipc-auth.js). It is passed
+ * to the MCP server in its environment, which the agent's tools run as the
+ * same user and can read (/proc/<pid>/environ), so the key identifies this
+ * run but does not keep the agent from writing IPC files itself.
+ *
+ * When the payload carries a `toolPolicy`, a PreToolUse hook checks every tool
+ * call against it before running, read-only tools included. 'ask' decisions
+ * wait for the host, which approves and audits them; the rest are reported to
+ * the host for its audit log.
+ *
+ * While a query runs the input directory is watched. An `_interrupt` sentinel
+ * aborts the query, and with the payload's `interruptMode: 'interrupt'` so does
+ * any new message; the partial reply is written as a result with
+ * `interrupted: true` and the query restarts with the new messages. Messages
+ * are left alone while the MCP server's ask_user tool waits for an answer.
  */
 
 import { query } from '@anthropic-ai/claude-code';
-import { readdirSync, readFileSync, unlinkSync, existsSync } from 'node:fs';
+import { readdirSync, readFileSync, unlinkSync, existsSync, watch } from 'node:fs';
 import { join } from 'node:path';
+import { configureIpcSigning, rpcRequest, writeIpcFile } from './ipc-client.js';
 
 const OUTPUT_START_MARKER = '---JSCLAW_OUTPUT_START---';
 const OUTPUT_END_MARKER = '---JSCLAW_OUTPUT_END---';
 
 const IPC_INPUT_DIR = '/workspace/ipc/input';
+const IPC_TASKS_DIR = '/workspace/ipc/tasks';
 const WORKSPACE_DIR = '/workspace/group';
 
+// IPC credentials from the stdin payload, passed on to the MCP server
+let ipcAuth = null;
+
+// Present while ask_user waits for a reply (written by mcp-server.js)
+const ASK_PENDING_PATH = '/tmp/jsclaw-ask-pending';
+
+// Rescan interval while fs.watch is active (events from bind mounts can be lost),
+// and the polling interval when it isn't
+const IPC_RECONCILE_INTERVAL = Number(process.env.JSCLAW_IPC_RECONCILE_INTERVAL) || 2000;
+const IPC_POLL_INTERVAL = Number(process.env.JSCLAW_IPC_POLL_INTERVAL) || 500;
+
+// Exit after this long without a new message once a query finishes
+const IDLE_TIMEOUT = Number(process.env.JSCLAW_IDLE_TIMEOUT) || 0;
+
+// Nothing is written while a tool approval is pending, so the wait must end
+// (as a denial) a minute before the host kills the container as timed out
+const CONTAINER_TIMEOUT = Number(process.env.JSCLAW_CONTAINER_TIMEOUT) || 1800000;
+const APPROVAL_MAX_TIMEOUT = Math.max(CONTAINER_TIMEOUT - 60000, 1000);
+
 const DEFAULT_ALLOWED_TOOLS = [
   'Bash', 'Read', 'Write', 'Edit', 'Glob', 'Grep',
   'WebSearch', 'WebFetch', 'Task', 'NotebookEdit',
   'mcp__jsclaw__send_message',
+  'mcp__jsclaw__ask_user',
   'mcp__jsclaw__schedule_task',
   'mcp__jsclaw__list_tasks',
   'mcp__jsclaw__pause_task',
@@ -54,6 +107,75 @@ function writeOutput(output) {
   process.stdout.write(`\n${OUTPUT_START_MARKER}\n${JSON.stringify(output)}\n${OUTPUT_END_MARKER}\n`);
 }
 
+/**
+ * Shorten long string values so progress events stay small.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function summarizeInput(input) {
+  const summary = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    summary[key] = typeof value === 'string' && value.length > 200 ? `${value.slice(0, 200)}...` : value;
+  }
+  return summary;
+}
+
+/**
+ * Translate an SDK event into progress outputs.
+ * @param {Object} event - SDK message
+ * @param {Map<string, string>} toolNames - tool_use id -> tool name, filled as tools start
+ */
+function emitProgress(event, toolNames) {
+  switch (event.type) {
+    case 'stream_event': {
+      const delta = event.event?.type === 'content_block_delta' ? event.event.delta : null;
+      if (delta?.type === 'text_delta' && delta.text) {
+        writeOutput({ type: 'text_delta', text: delta.text });
+      }
+      break;
+    }
+
+    case 'assistant':
+      for (const block of event.message?.content || []) {
+        if (block.type === 'text' && block.text) {
+          writeOutput({ type: 'text', text: block.text });
+        } else if (block.type === 'thinking' && block.thinking) {
+          writeOutput({ type: 'thinking', text: block.thinking });
+        } else if (block.type === 'tool_use') {
+          toolNames.set(block.id, block.name);
+          writeOutput({
+            type: 'tool_use',
+            phase: 'start',
+            tool: block.name,
+            toolUseId: block.id,
+            input: summarizeInput(block.input),
+          });
+        }
+      }
+      break;
+
+    case 'user':
+      for (const block of Array.isArray(event.message?.content) ? event.message.content : []) {
+        if (block.type === 'tool_result') {
+          writeOutput({
+            type: 'tool_use',
+            phase: 'finish',
+            tool: toolNames.get(block.tool_use_id) || null,
+            toolUseId: block.tool_use_id,
+            isError: !!block.is_error,
+          });
+        }
+      }
+      break;
+
+    case 'result':
+      if (event.is_error) {
+        writeOutput({ type: 'error', error: `Query ended with ${event.subtype || 'an error'}` });
+      }
+      break;
+  }
+}
+
 /**
  * Check if the close sentinel exists.
  * @returns {boolean}
@@ -66,6 +188,31 @@ function shouldClose() {
   }
 }
 
+/**
+ * Consume the interrupt sentinel if it exists.
+ * @returns {boolean} Whether an interrupt was requested
+ */
+function takeInterrupt() {
+  try {
+    unlinkSync(join(IPC_INPUT_DIR, '_interrupt'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check for unread IPC input messages without consuming them.
+ * @returns {boolean}
+ */
+function hasIpcInput() {
+  try {
+    return readdirSync(IPC_INPUT_DIR).some((f) => f.endsWith('.json') && !f.startsWith('.'));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Drain pending IPC input messages.
  * @returns {string[]} Array of message texts
@@ -94,49 +241,297 @@ function drainIpcInput() {
   return messages;
 }
 
+/** @type {import('node:fs').FSWatcher|null} */
+let inputWatcher = null;
+let inputWatchFailed = false;
+/** @type {Set<() => void>} */
+const inputWaiters = new Set();
+
+/**
+ * Start watching the IPC input directory once. On failure, waiters fall back
+ * to polling.
+ */
+function ensureInputWatcher() {
+  if (inputWatcher || inputWatchFailed) return;
+  try {
+    inputWatcher = watch(IPC_INPUT_DIR, () => {
+      for (const wake of inputWaiters) wake();
+    });
+    inputWatcher.on('error', () => {
+      inputWatcher.close();
+      inputWatcher = null;
+      inputWatchFailed = true;
+    });
+    // Don't keep the process alive just for the watcher
+    inputWatcher.unref();
+  } catch {
+    inputWatchFailed = true;
+  }
+}
+
+/**
+ * Resolve on the next input directory change, or after a rescan interval.
+ * @param {number} maxDelay - Upper bound in ms
+ * @returns {Promise<void>}
+ */
+function waitForInputChange(maxDelay) {
+  ensureInputWatcher();
+  const interval = inputWatcher ? IPC_RECONCILE_INTERVAL : IPC_POLL_INTERVAL;
+  return new Promise((resolve) => {
+    const wake = () => {
+      clearTimeout(timer);
+      inputWaiters.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, Math.min(interval, maxDelay));
+    inputWaiters.add(wake);
+  });
+}
+
+/**
+ * Watch the input directory while a query runs and abort it on an interrupt
+ * sentinel or, in 'interrupt' mode, on a new message.
+ * @param {AbortController} controller - Aborts the running query
+ * @param {'queue'|'interrupt'} interruptMode
+ * @returns {() => void} Stops watching
+ */
+function watchForInterrupt(controller, interruptMode) {
+  let stopped = false;
+
+  (async () => {
+    while (!stopped) {
+      const interrupt = takeInterrupt()
+        || (interruptMode === 'interrupt' && !existsSync(ASK_PENDING_PATH) && hasIpcInput());
+      if (interrupt) {
+        controller.abort();
+        return;
+      }
+      await waitForInputChange(Infinity);
+    }
+  })();
+
+  return () => {
+    stopped = true;
+    for (const wake of inputWaiters) wake();
+  };
+}
+
 /**
  * Wait for a new IPC message or close sentinel.
- * @param {number} [pollInterval=500] - ms between polls
  * @param {number} [maxWait=0] - max wait in ms (0 = forever)
- * @returns {Promise<string|null>} Message text, or null if closed
+ * @returns {Promise<{ text: string }|{ reason: 'closed'|'idle' }>}
  */
-async function waitForIpcMessage(pollInterval = 500, maxWait = 0) {
+async function waitForIpcMessage(maxWait = 0) {
   const start = Date.now();
   while (true) {
-    if (shouldClose()) return null;
+    if (shouldClose()) return { reason: 'closed' };
+    // Nothing to interrupt between queries
+    takeInterrupt();
 
     const messages = drainIpcInput();
     if (messages.length > 0) {
-      return messages.join('\n');
+      return { text: messages.join('\n') };
     }
 
-    if (maxWait > 0 && Date.now() - start >= maxWait) return null;
-    await new Promise((r) => setTimeout(r, pollInterval));
+    const elapsed = Date.now() - start;
+    if (maxWait > 0 && elapsed >= maxWait) return { reason: 'idle' };
+    await waitForInputChange(maxWait > 0 ? maxWait - elapsed : Infinity);
   }
 }
 
+/**
+ * Convert a glob ('*' any run of characters, '?' one character) to an anchored regex.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * The argument a rule's `pattern` is matched against for a given tool.
+ * @param {string} toolName
+ * @param {Object} input
+ * @returns {string}
+ */
+function toolSubject(toolName, input) {
+  switch (toolName) {
+    case 'Bash':
+      return input.command ?? '';
+    case 'Read':
+    case 'Write':
+    case 'Edit':
+    case 'MultiEdit':
+      return input.file_path ?? '';
+    case 'NotebookEdit':
+      return input.notebook_path ?? '';
+    case 'Glob':
+    case 'Grep':
+      return input.pattern ?? '';
+    case 'WebFetch':
+      return input.url ?? '';
+    case 'WebSearch':
+      return input.query ?? '';
+    default:
+      return JSON.stringify(input);
+  }
+}
+
+/**
+ * Find the first rule matching a tool call. Falls back to the policy default.
+ * @param {Object} policy
+ * @param {string} toolName
+ * @param {Object} input
+ * @returns {{ action: 'allow'|'deny'|'ask', rule: Object|null }}
+ */
+function evaluatePolicy(policy, toolName, input) {
+  const subject = String(toolSubject(toolName, input));
+  for (const rule of policy.rules || []) {
+    if (!globToRegExp(rule.tool).test(toolName)) continue;
+    if (rule.pattern !== undefined && !globToRegExp(rule.pattern).test(subject)) continue;
+    return { action: rule.action, rule };
+  }
+  return { action: policy.default || 'allow', rule: null };
+}
+
+/**
+ * Build a PreToolUse hook enforcing the allowed tool list and, when given, a
+ * tool policy. Hooks run before every tool call, including the read-only
+ * tools the SDK would otherwise approve on its own. 'ask' decisions are made
+ * and audited by the host; the others are reported to it.
+ * @param {Object|undefined} policy
+ * @param {string[]} allowedTools - Tools outside this list are always denied
+ * @returns {(input: Object) => Promise<Object>}
+ */
+function createPolicyHook(policy, allowedTools) {
+  return async ({ tool_name: toolName, tool_input: input = {} }) => {
+    // Without a policy only the allowed list is enforced
+    if (!policy && allowedTools.includes(toolName)) return {};
+
+    const subject = toolSubject(toolName, input).slice(0, 500);
+    let decision;
+    let source;
+    let reason;
+    let matched = null;
+
+    if (!allowedTools.includes(toolName)) {
+      decision = 'deny';
+      source = 'allowlist';
+      reason = `Tool ${toolName} is not allowed`;
+    } else {
+      const { action, rule } = evaluatePolicy(policy, toolName, input);
+      matched = rule;
+
+      if (action === 'ask') {
+        source = 'host';
+        try {
+          const result = await rpcRequest(
+            IPC_TASKS_DIR,
+            { type: 'tool_approval', data: { tool: toolName, input, subject, rule } },
+            Math.min(policy.approvalTimeout, APPROVAL_MAX_TIMEOUT),
+          );
+          decision = result?.approved ? 'allow' : 'deny';
+          reason = result?.reason;
+        } catch (err) {
+          decision = 'deny';
+          reason = err.message;
+        }
+      } else {
+        decision = action;
+        source = rule ? 'rule' : 'default';
+      }
+    }
+
+    // The host records its own decisions; report the rest, fire-and-forget
+    if (source !== 'host') {
+      try {
+        writeIpcFile(IPC_TASKS_DIR, {
+          type: 'tool_decision',
+          data: { tool: toolName, subject, decision, source, rule: matched, reason },
+          timestamp: new Date().toISOString(),
+        });
+      } catch {
+        // auditing must never break the tool call
+      }
+    }
+
+    if (decision === 'allow') return {};
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: 'deny',
+        permissionDecisionReason: reason || `Tool ${toolName} denied by policy`,
+      },
+    };
+  };
+}
+
+/**
+ * Pull token counts, cost and timing out of an SDK result event.
+ * @param {Object} event
+ * @returns {Object}
+ */
+function extractUsage(event) {
+  const usage = event.usage || {};
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    costUsd: event.total_cost_usd || 0,
+    numTurns: event.num_turns || 0,
+    durationMs: event.duration_ms || 0,
+    durationApiMs: event.duration_api_ms || 0,
+  };
+}
+
 /**
  * Run a Claude query with the agent SDK.
  * @param {string} prompt
  * @param {Object} options
- * @returns {Promise<{ result: string|null, sessionId: string|null }>}
+ * @returns {Promise<{ result: string|null, sessionId: string|null, usage: Object|null, interrupted: boolean }>}
+ *   When `options.abortController` aborts, `result` holds the text written so far
  */
 async function runQuery(prompt, options = {}) {
   const {
     sessionId,
     systemPrompt,
     allowedTools,
+    secrets,
+    hostTools = [],
+    toolPolicy,
+    streamPartialText = true,
+    abortController,
   } = options;
 
   let resultText = null;
   let newSessionId = null;
+  let usage = null;
+  const textBlocks = [];
+
+  const tools = allowedTools || [
+    ...DEFAULT_ALLOWED_TOOLS,
+    ...hostTools.map((t) => `mcp__jsclaw__${t.name}`),
+  ];
 
+  // Tools run without prompts, so a role's tool list (JSCLAW_ALLOWED_TOOLS) and
+  // the policy are enforced by a PreToolUse hook; allowedTools alone doesn't
+  // stop anything under bypassPermissions
+  const enforce = toolPolicy || allowedTools;
   const queryOptions = {
     prompt,
     options: {
       cwd: WORKSPACE_DIR,
-      allowedTools: allowedTools || DEFAULT_ALLOWED_TOOLS,
+      allowedTools: tools,
       permissionMode: 'bypassPermissions',
+      ...(enforce && { hooks: { PreToolUse: [{ hooks: [createPolicyHook(toolPolicy, tools)] }] } }),
+      includePartialMessages: streamPartialText,
+      ...(abortController && { abortController }),
+      env: { ...process.env, ...secrets },
       ...(sessionId && { sessionId }),
       ...(systemPrompt && { systemPrompt }),
       mcpServers: {
@@ -147,6 +542,10 @@ async function runQuery(prompt, options = {}) {
             JSCLAW_CHAT_JID: process.env.JSCLAW_CHAT_JID || '',
             JSCLAW_GROUP_FOLDER: process.env.JSCLAW_GROUP_FOLDER || '',
             JSCLAW_IS_MAIN: process.env.JSCLAW_IS_MAIN || 'false',
+            JSCLAW_CAPABILITIES: process.env.JSCLAW_CAPABILITIES || '',
+            ...(ipcAuth && { JSCLAW_IPC_RUN_ID: ipcAuth.runId, JSCLAW_IPC_KEY: ipcAuth.key }),
+            JSCLAW_HOST_TOOLS: JSON.stringify(hostTools),
+            ...(process.env.JSCLAW_CONTAINER_TIMEOUT && { JSCLAW_CONTAINER_TIMEOUT: process.env.JSCLAW_CONTAINER_TIMEOUT }),
           },
         },
       },
@@ -154,15 +553,31 @@ async function runQuery(prompt, options = {}) {
   };
 
   const conversation = query(queryOptions);
+  const toolNames = new Map();
 
-  for await (const event of conversation) {
-    if (event.type === 'result') {
-      resultText = typeof event.result === 'string' ? event.result : JSON.stringify(event.result);
-      newSessionId = event.session_id || null;
+  try {
+    for await (const event of conversation) {
+      emitProgress(event, toolNames);
+      // Known from the first event, so an aborted query can still be resumed
+      if (event.session_id) newSessionId = event.session_id;
+      if (event.type === 'assistant') {
+        for (const block of event.message?.content || []) {
+          if (block.type === 'text' && block.text) textBlocks.push(block.text);
+        }
+      }
+      if (event.type === 'result') {
+        resultText = typeof event.result === 'string' ? event.result : JSON.stringify(event.result);
+        usage = extractUsage(event);
+      }
     }
+  } catch (err) {
+    if (!abortController?.signal.aborted) throw err;
   }
 
-  return { result: resultText, sessionId: newSessionId };
+  if (abortController?.signal.aborted && usage === null) {
+    return { result: textBlocks.join('\n\n') || null, sessionId: newSessionId, usage: null, interrupted: true };
+  }
+  return { result: resultText, sessionId: newSessionId, usage, interrupted: false };
 }
 
 // --- Main ---
@@ -172,15 +587,28 @@ async function main() {
   try {
     input = await readStdin();
   } catch (err) {
-    writeOutput({ status: 'error', result: null, error: `Failed to read stdin: ${err.message}` });
+    writeOutput({ type: 'result', status: 'error', result: null, error: `Failed to read stdin: ${err.message}` });
     process.exit(1);
   }
 
+  // Scrub secrets from the input so nothing below can echo them
+  const secrets = { ...input.secrets, ...input.toolSecrets };
+  delete input.secrets;
+  delete input.toolSecrets;
+  ipcAuth = input.ipcAuth || null;
+  delete input.ipcAuth;
+  if (ipcAuth) configureIpcSigning(ipcAuth, 'agent');
+
+  // Host-defined tools, advertised by the MCP server and allowed by default
+  const hostTools = input.tools || [];
+  const toolPolicy = input.toolPolicy || undefined;
+  const streamPartialText = input.streamPartialText !== false;
+  const interruptMode = input.interruptMode || 'queue';
+
   const {
     prompt,
     sessionId,
     groupFolder,
-    isMain,
     isScheduledTask,
   } = input;
 
@@ -205,41 +633,76 @@ async function main() {
 
   // Query loop: run query, wait for IPC, run again
   while (true) {
+    const abortController = new AbortController();
+    const stopWatching = watchForInterrupt(abortController, interruptMode);
+    let interrupted = false;
+    let started = false;
     try {
-      const { result, sessionId: newSessionId } = await runQuery(fullPrompt, {
+      const { result, sessionId: newSessionId, usage, interrupted: aborted } = await runQuery(fullPrompt, {
         sessionId: currentSessionId,
         systemPrompt,
         allowedTools,
+        secrets,
+        hostTools,
+        toolPolicy,
+        streamPartialText,
+        abortController,
       });
 
       if (newSessionId) currentSessionId = newSessionId;
+      interrupted = aborted;
+      started = !!newSessionId;
 
       writeOutput({
+        type: 'result',
         status: 'success',
         result,
         newSessionId: currentSessionId,
+        ...(usage && { usage }),
+        ...(interrupted && { interrupted: true }),
       });
     } catch (err) {
       writeOutput({
+        type: 'result',
         status: 'error',
         result: null,
         error: err.message,
         newSessionId: currentSessionId,
       });
+    } finally {
+      stopWatching();
     }
 
-    // Wait for next IPC message or close signal
-    const nextMessage = await waitForIpcMessage();
-    if (nextMessage === null) {
-      // Close sentinel received or no more messages
+    if (interrupted) {
+      const messages = drainIpcInput();
+      if (messages.length > 0) {
+        // Once the query reached the SDK its session already holds the prompt
+        fullPrompt = started
+          ? `[Your previous response was interrupted by new messages]\n${messages.join('\n')}`
+          : `${fullPrompt}\n\n[New messages]\n${messages.join('\n')}`;
+        continue;
+      }
+    }
+
+    // Wait for next IPC message, close signal or idle timeout
+    const next = await waitForIpcMessage(IDLE_TIMEOUT);
+    if (next.reason) {
+      // Hand the session back so the host can resume it in a later container
+      writeOutput({
+        type: 'result',
+        status: 'success',
+        result: null,
+        newSessionId: currentSessionId,
+        reason: next.reason,
+      });
       break;
     }
 
-    fullPrompt = nextMessage;
+    fullPrompt = next.text;
   }
 }
 
 main().catch((err) => {
-  writeOutput({ status: 'error', result: null, error: `Fatal: ${err.message}` });
+  writeOutput({ type: 'result', status: 'error', result: null, error: `Fatal: ${err.message}` });
   process.exit(1);
 });
@@ -0,0 +1,157 @@
+/**
+ * IPC client shared by the agent runner and the MCP server inside the
+ * container: atomic writes to the host's inbound directories, signed once
+ * `configureIpcSigning` has run, and request/reply round trips answered in
+ * /workspace/ipc/responses.
+ *
+ * Environment variables (set by host):
+ *   JSCLAW_RPC_TIMEOUT   - Optional ms to wait for a host reply (default 30000)
+ */
+
+import { writeFileSync, mkdirSync, readFileSync, renameSync, unlinkSync, watch } from 'node:fs';
+import { basename, join } from 'node:path';
+import { createHmac, randomUUID } from 'node:crypto';
+
+const IPC_RESPONSES_DIR = '/workspace/ipc/responses';
+export const RPC_TIMEOUT = Number(process.env.JSCLAW_RPC_TIMEOUT) || 30000;
+
+// Set by configureIpcSigning; without it files go unsigned
+let signing = null;
+
+/**
+ * Sign every file this process writes from now on.
+ * @param {{ runId: string, key: string }} credentials - This run's IPC credentials from the host
+ * @param {string} writerPrefix - Names the process in the writer ID, e.g. 'agent' or 'mcp'
+ */
+export function configureIpcSigning({ runId, key }, writerPrefix) {
+  signing = { runId, key, writer: `${writerPrefix}-${randomUUID().slice(0, 8)}`, seq: 0 };
+}
+
+/**
+ * Wrap a payload in a signed envelope. Mirrors signIpcEnvelope in src/ipc-auth.js.
+ * @param {Object} payload
+ * @param {string} channel - 'messages' or 'tasks'
+ * @returns {Object}
+ */
+function signIpcEnvelope(payload, channel) {
+  const fields = { runId: signing.runId, writer: signing.writer, seq: signing.seq++, channel, payload: JSON.stringify(payload) };
+  const mac = createHmac('sha256', Buffer.from(signing.key, 'hex'))
+    .update([1, fields.runId, fields.writer, fields.seq, fields.channel, fields.payload].join('\n'))
+    .digest('hex');
+  return { v: 1, ...fields, mac };
+}
+
+/**
+ * Atomically write a JSON file to an IPC directory.
+ * @param {string} dir
+ * @param {Object} data
+ */
+export function writeIpcFile(dir, data) {
+  mkdirSync(dir, { recursive: true });
+  const filename = `${Date.now()}-${randomUUID().slice(0, 8)}.json`;
+  const tmpPath = join(dir, `.${filename}.tmp`);
+  writeFileSync(tmpPath, JSON.stringify(signing ? signIpcEnvelope(data, basename(dir)) : data));
+  renameSync(tmpPath, join(dir, filename));
+}
+
+/**
+ * Wait until `check` returns a value, re-running it whenever the directory
+ * changes and on a fallback poll.
+ * @template T
+ * @param {string} dir - Directory to watch
+ * @param {() => T|undefined} check - Returns undefined to keep waiting; may throw
+ * @param {number} timeout - ms
+ * @returns {Promise<T|undefined>} The checked value, or undefined on timeout
+ */
+export function watchDirUntil(dir, check, timeout) {
+  mkdirSync(dir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let watcher = null;
+
+    function finish(err, value) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearInterval(poller);
+      watcher?.close();
+      if (err) reject(err);
+      else resolve(value);
+    }
+
+    function run() {
+      if (done) return;
+      try {
+        const value = check();
+        if (value !== undefined) finish(null, value);
+      } catch (err) {
+        finish(err);
+      }
+    }
+
+    const timer = setTimeout(() => finish(null, undefined), timeout);
+
+    try {
+      watcher = watch(dir, run);
+      watcher.on('error', () => {});
+    } catch {
+      // fall back to polling only
+    }
+    // Watch events on bind mounts can be lost, so always poll as well
+    const poller = setInterval(run, watcher ? 1000 : 250);
+    run();
+  });
+}
+
+/**
+ * Wait for the host's reply to a request.
+ * @param {string} requestId
+ * @param {number} timeout - ms
+ * @returns {Promise<{ ok: boolean, result?: *, error?: string }>}
+ */
+async function waitForResponse(requestId, timeout) {
+  const responsePath = join(IPC_RESPONSES_DIR, `${requestId}.json`);
+
+  const response = await watchDirUntil(IPC_RESPONSES_DIR, () => {
+    let raw;
+    try {
+      raw = readFileSync(responsePath, 'utf-8');
+    } catch {
+      return undefined; // not there yet
+    }
+    try {
+      unlinkSync(responsePath);
+    } catch {
+      // best effort cleanup
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Malformed host response: ${err.message}`);
+    }
+  }, timeout);
+
+  if (response === undefined) {
+    throw new Error(`No response from host within ${Math.round(timeout / 1000)}s; the request may still be processed.`);
+  }
+  return response;
+}
+
+/**
+ * Send a request to the host and wait for its reply.
+ * @param {string} dir - IPC directory to write the request to
+ * @param {Object} data - Request payload
+ * @param {number} [timeout=RPC_TIMEOUT] - ms to wait
+ * @returns {Promise<*>} The host's result
+ * @throws {Error} If the host rejects the request or doesn't answer in time
+ */
+export async function rpcRequest(dir, data, timeout = RPC_TIMEOUT) {
+  const requestId = `${Date.now()}-${randomUUID()}`;
+  writeIpcFile(dir, { ...data, requestId });
+  const response = await waitForResponse(requestId, timeout);
+  if (!response.ok) {
+    throw new Error(response.error || 'Request rejected by host');
+  }
+  return response.result;
+}
@@ -1,11 +1,20 @@
 /**
  * MCP server that runs inside the container (stdio transport).
  * Exposes tools for the Claude agent: send_message, schedule_task, etc.
+ * Requests go to the host as IPC files and the tools wait for the host's
+ * reply in /workspace/ipc/responses, so they report the real outcome.
  *
  * Environment variables (set by host):
  *   JSCLAW_CHAT_JID     - Chat identifier for this group
  *   JSCLAW_GROUP_FOLDER  - Group folder name
  *   JSCLAW_IS_MAIN       - 'true' if this is the admin group
+ *   JSCLAW_CAPABILITIES  - JSON { role, capabilities, sendTo } resolved by the host
+ *   JSCLAW_RPC_TIMEOUT   - Optional ms to wait for a host reply (default 30000, read by ipc-client.js)
+ *   JSCLAW_CONTAINER_TIMEOUT - The host's containerTimeout in ms; caps ask_user's wait
+ *   JSCLAW_HOST_TOOLS    - JSON array of host-defined tool schemas
+ *   JSCLAW_IPC_RUN_ID    - This container run's ID (set by the agent runner)
+ *   JSCLAW_IPC_KEY       - Hex key that signs IPC files for this run; unsigned without it.
+ *                          Readable by the agent's tools, like the rest of this environment
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -14,26 +23,117 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { writeFileSync, mkdirSync, readdirSync, readFileSync, renameSync } from 'node:fs';
+import { writeFileSync, mkdirSync, readFileSync, readdirSync, unlinkSync, rmSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
-import { randomUUID } from 'node:crypto';
+import { configureIpcSigning, rpcRequest, watchDirUntil, RPC_TIMEOUT } from './ipc-client.js';
 
 const CHAT_JID = process.env.JSCLAW_CHAT_JID || '';
 const GROUP_FOLDER = process.env.JSCLAW_GROUP_FOLDER || '';
 const IS_MAIN = process.env.JSCLAW_IS_MAIN === 'true';
+const CAPABILITIES = parseCapabilities(process.env.JSCLAW_CAPABILITIES);
 const IPC_MESSAGES_DIR = '/workspace/ipc/messages';
 const IPC_TASKS_DIR = '/workspace/ipc/tasks';
+const IPC_INPUT_DIR = '/workspace/ipc/input';
+// Tells the agent runner that input messages are answers, not interruptions
+const ASK_PENDING_PATH = '/tmp/jsclaw-ask-pending';
+// The host kills a container that writes nothing for its containerTimeout, and
+// nothing is written while ask_user waits, so give up a minute before that
+const CONTAINER_TIMEOUT = Number(process.env.JSCLAW_CONTAINER_TIMEOUT) || 1800000;
+const ASK_MAX_TIMEOUT = Math.max(Math.min(3600, Math.floor(CONTAINER_TIMEOUT / 1000) - 60), 1);  // seconds
+const ASK_DEFAULT_TIMEOUT = Math.min(300, ASK_MAX_TIMEOUT);
+
+// The SDK may start a new server per query; each process signs as its own writer
+if (process.env.JSCLAW_IPC_KEY) {
+  configureIpcSigning({ runId: process.env.JSCLAW_IPC_RUN_ID || '', key: process.env.JSCLAW_IPC_KEY }, 'mcp');
+}
+
+/** Tools whose handlers run on the host; calls are forwarded over IPC. */
+const HOST_TOOLS = parseHostTools(process.env.JSCLAW_HOST_TOOLS);
 
 /**
- * Atomically write a JSON file to an IPC directory.
+ * Parse the host tool schemas passed in by the agent runner.
+ * @param {string|undefined} raw
+ * @returns {Array<{ name: string, description: string, inputSchema: Object, timeout?: number }>}
  */
-function writeIpcFile(dir, data) {
-  mkdirSync(dir, { recursive: true });
-  const filename = `${Date.now()}-${randomUUID().slice(0, 8)}.json`;
-  const tmpPath = join(dir, `.${filename}.tmp`);
-  const finalPath = join(dir, filename);
-  writeFileSync(tmpPath, JSON.stringify(data));
-  renameSync(tmpPath, finalPath);
+function parseHostTools(raw) {
+  try {
+    const tools = JSON.parse(raw || '[]');
+    return Array.isArray(tools) ? tools : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parse the capabilities resolved by the host (see src/capabilities.js).
+ * Without them, fall back to the built-in main and member roles.
+ * @param {string|undefined} raw
+ * @returns {{ role: string, capabilities: string[], sendTo: string[] }}
+ */
+function parseCapabilities(raw) {
+  try {
+    const caps = JSON.parse(raw);
+    if (Array.isArray(caps?.capabilities)) {
+      return { role: caps.role, capabilities: caps.capabilities, sendTo: Array.isArray(caps.sendTo) ? caps.sendTo : [] };
+    }
+  } catch {
+    // fall through
+  }
+  return IS_MAIN
+    ? {
+      role: 'main',
+      capabilities: ['message:own', 'message:any', 'tasks:own', 'tasks:others', 'mounts', 'mounts:privileged', 'secrets:all'],
+      sendTo: [],
+    }
+    : { role: 'member', capabilities: ['message:own', 'tasks:own', 'mounts'], sendTo: [] };
+}
+
+/**
+ * Whether this group holds a capability. The host enforces the same checks;
+ * these only fail fast with a clearer message.
+ * @param {string} capability
+ * @returns {boolean}
+ */
+function can(capability) {
+  return CAPABILITIES.capabilities.includes(capability);
+}
+
+/**
+ * Wait for the user's next message, delivered by the host into the IPC input
+ * directory (GroupQueue.sendMessage). Files already present when the question
+ * was asked are left for the agent runner.
+ * @param {Set<string>} existing - Input filenames present before asking
+ * @param {number} timeout - ms
+ * @returns {Promise<{ text: string }|{ closed: true }|undefined>} undefined on timeout
+ */
+function waitForUserReply(existing, timeout) {
+  return watchDirUntil(IPC_INPUT_DIR, () => {
+    if (existsSync(join(IPC_INPUT_DIR, '_close'))) return { closed: true };
+
+    const names = readdirSync(IPC_INPUT_DIR)
+      .filter((f) => f.endsWith('.json') && !f.startsWith('.') && !existing.has(f))
+      .sort();
+
+    for (const name of names) {
+      const filePath = join(IPC_INPUT_DIR, name);
+      try {
+        const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+        unlinkSync(filePath);
+        if (data.text) return { text: data.text };
+      } catch {
+        // partially visible or malformed, skip
+      }
+    }
+    return undefined;
+  }, timeout);
+}
+
+/**
+ * Build a tool error result.
+ * @param {string} message
+ */
+function toolError(message) {
+  return { content: [{ type: 'text', text: `Error: ${message}` }], isError: true };
 }
 
 /**
@@ -57,11 +157,24 @@ const TOOLS = [
       properties: {
         text: { type: 'string', description: 'Message text to send' },
         sender: { type: 'string', description: 'Optional sender name for multi-persona' },
-        target_jid: { type: 'string', description: 'Target chat JID (main group only, for cross-group messaging)' },
+        target_jid: { type: 'string', description: 'Target chat JID for cross-group messaging (needs the message:any capability or a sendTo entry)' },
       },
       required: ['text'],
     },
   },
+  {
+    name: 'ask_user',
+    description: 'Ask the user a question and wait for their reply. Use when you need clarification or approval before continuing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'The question to ask' },
+        options: { type: 'array', items: { type: 'string' }, description: 'Optional choices; the user may reply with a number or free text' },
+        timeout_seconds: { type: 'number', description: `How long to wait for an answer (default ${ASK_DEFAULT_TIMEOUT}, max ${ASK_MAX_TIMEOUT})` },
+      },
+      required: ['question'],
+    },
+  },
   {
     name: 'schedule_task',
     description: 'Schedule a recurring or one-shot task.',
@@ -72,7 +185,7 @@ const TOOLS = [
         schedule_type: { type: 'string', enum: ['cron', 'interval', 'once'], description: 'Type of schedule' },
         schedule_value: { type: 'string', description: 'Cron expression, interval in ms, or ISO date' },
         context_mode: { type: 'string', enum: ['fresh', 'resume'], description: 'Whether to resume existing session or start fresh' },
-        target_group_jid: { type: 'string', description: 'Target group for the task (main only)' },
+        target_group_jid: { type: 'string', description: 'Target group for the task (needs the tasks:others capability)' },
       },
       required: ['prompt', 'schedule_type', 'schedule_value'],
     },
@@ -125,54 +238,101 @@ async function handleToolCall(name, args) {
     case 'send_message': {
       const { text, sender, target_jid } = args;
 
-      // Authorization: non-main groups can't send cross-group
-      if (target_jid && !IS_MAIN) {
-        return { content: [{ type: 'text', text: 'Error: Only the main group can send cross-group messages.' }] };
+      const jid = target_jid || CHAT_JID;
+      if (jid === CHAT_JID ? !can('message:own') : !can('message:any') && !CAPABILITIES.sendTo.includes(jid)) {
+        return toolError(`This group (role ${CAPABILITIES.role}) may not send messages to ${jid}.`);
       }
 
-      writeIpcFile(IPC_MESSAGES_DIR, {
-        text,
-        sender: sender || undefined,
-        targetJid: target_jid || CHAT_JID,
-        sourceGroup: GROUP_FOLDER,
-        timestamp: new Date().toISOString(),
-      });
+      try {
+        await rpcRequest(IPC_MESSAGES_DIR, {
+          text,
+          sender: sender || undefined,
+          targetJid: jid,
+          sourceGroup: GROUP_FOLDER,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (err) {
+        return toolError(err.message);
+      }
 
       return { content: [{ type: 'text', text: `Message sent: "${text.slice(0, 100)}${text.length > 100 ? '...' : ''}"` }] };
     }
 
+    case 'ask_user': {
+      const { question, options, timeout_seconds } = args;
+      const choices = Array.isArray(options) ? options.filter((o) => typeof o === 'string') : [];
+      const timeoutSec = Math.min(Math.max(Number(timeout_seconds) || ASK_DEFAULT_TIMEOUT, 1), ASK_MAX_TIMEOUT);
+
+      let text = question;
+      if (choices.length > 0) {
+        text += '\n\n' + choices.map((o, i) => `${i + 1}. ${o}`).join('\n');
+        text += '\n\nReply with a number or your own answer.';
+      }
+
+      mkdirSync(IPC_INPUT_DIR, { recursive: true });
+      const existing = new Set(readdirSync(IPC_INPUT_DIR));
+
+      let reply;
+      writeFileSync(ASK_PENDING_PATH, '');
+      try {
+        await rpcRequest(IPC_MESSAGES_DIR, {
+          text,
+          targetJid: CHAT_JID,
+          sourceGroup: GROUP_FOLDER,
+          timestamp: new Date().toISOString(),
+        });
+        reply = await waitForUserReply(existing, timeoutSec * 1000);
+      } catch (err) {
+        return toolError(`Could not ask the user: ${err.message}`);
+      } finally {
+        rmSync(ASK_PENDING_PATH, { force: true });
+      }
+
+      if (reply === undefined) {
+        return { content: [{ type: 'text', text: `No answer from the user within ${timeoutSec} seconds.` }] };
+      }
+      if (reply.closed) {
+        return { content: [{ type: 'text', text: 'The conversation was closed before the user answered.' }] };
+      }
+
+      // Map a numeric reply onto the chosen option
+      const index = /^\s*\d+\s*$/.test(reply.text) ? Number(reply.text) - 1 : -1;
+      const answer = choices[index] ?? reply.text;
+      return { content: [{ type: 'text', text: `User answered: ${answer}` }] };
+    }
+
     case 'schedule_task': {
       const { prompt, schedule_type, schedule_value, context_mode, target_group_jid } = args;
 
-      // Validate cron expression if applicable
-      if (schedule_type === 'cron') {
-        try {
-          const { parseExpression } = await import('cron-parser');
-          parseExpression(schedule_value);
-        } catch {
-          return { content: [{ type: 'text', text: `Error: Invalid cron expression: ${schedule_value}` }] };
-        }
+      const crossGroup = target_group_jid && target_group_jid !== CHAT_JID;
+      if (!can(crossGroup ? 'tasks:others' : 'tasks:own')) {
+        return toolError(crossGroup
+          ? `This group (role ${CAPABILITIES.role}) may not schedule tasks for other groups.`
+          : `This group (role ${CAPABILITIES.role}) may not schedule tasks.`);
       }
 
-      if (target_group_jid && !IS_MAIN) {
-        return { content: [{ type: 'text', text: 'Error: Only the main group can schedule tasks for other groups.' }] };
+      // The host validates the schedule and reports errors back
+      let result;
+      try {
+        result = await rpcRequest(IPC_TASKS_DIR, {
+          type: 'schedule_task',
+          data: {
+            prompt,
+            schedule_type,
+            schedule_value,
+            context_mode: context_mode || 'fresh',
+            chat_jid: target_group_jid || CHAT_JID,
+            group_folder: GROUP_FOLDER,
+          },
+          sourceGroup: GROUP_FOLDER,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (err) {
+        return toolError(err.message);
       }
 
-      writeIpcFile(IPC_TASKS_DIR, {
-        type: 'schedule_task',
-        data: {
-          prompt,
-          schedule_type,
-          schedule_value,
-          context_mode: context_mode || 'fresh',
-          chat_jid: target_group_jid || CHAT_JID,
-          group_folder: GROUP_FOLDER,
-        },
-        sourceGroup: GROUP_FOLDER,
-        timestamp: new Date().toISOString(),
-      });
-
-      return { content: [{ type: 'text', text: `Task scheduled: ${schedule_type} "${prompt.slice(0, 100)}"` }] };
+      const details = result?.task_id ? ` [${result.task_id}] next run ${result.next_run || 'n/a'}` : '';
+      return { content: [{ type: 'text', text: `Task scheduled${details}: ${schedule_type} "${prompt.slice(0, 100)}"` }] };
     }
 
     case 'list_tasks': {
@@ -190,17 +350,43 @@ async function handleToolCall(name, args) {
     case 'resume_task':
     case 'cancel_task': {
       const { task_id } = args;
-      writeIpcFile(IPC_TASKS_DIR, {
-        type: name,
-        data: { task_id },
-        sourceGroup: GROUP_FOLDER,
-        timestamp: new Date().toISOString(),
-      });
-      return { content: [{ type: 'text', text: `Task ${name.replace('_task', '')}: ${task_id}` }] };
+      let result;
+      try {
+        result = await rpcRequest(IPC_TASKS_DIR, {
+          type: name,
+          data: { task_id },
+          sourceGroup: GROUP_FOLDER,
+          timestamp: new Date().toISOString(),
+        });
+      } catch (err) {
+        return toolError(err.message);
+      }
+      const status = result?.status ? ` (${result.status})` : '';
+      return { content: [{ type: 'text', text: `Task ${name.replace('_task', '')}: ${task_id}${status}` }] };
     }
 
-    default:
-      return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+    default: {
+      const hostTool = HOST_TOOLS.find((t) => t.name === name);
+      if (!hostTool) {
+        return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+      }
+
+      let result;
+      try {
+        result = await rpcRequest(IPC_TASKS_DIR, {
+          type: 'tool_call',
+          data: { tool: name, args },
+          sourceGroup: GROUP_FOLDER,
+          timestamp: new Date().toISOString(),
+        }, hostTool.timeout || RPC_TIMEOUT);
+      } catch (err) {
+        return toolError(err.message);
+      }
+
+      if (result && Array.isArray(result.content)) return result;
+      const text = typeof result === 'string' ? result : JSON.stringify(result ?? null);
+      return { content: [{ type: 'text', text }] };
+    }
   }
 }
 
@@ -212,7 +398,10 @@ const server = new Server(
 );
 
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: TOOLS,
+  tools: [
+    ...TOOLS,
+    ...HOST_TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+  ],
 }));
 
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -11,6 +11,7 @@
  *   3. Set environment variables:
  *      export TELEGRAM_BOT_TOKEN=your_bot_token
  *      export ANTHROPIC_API_KEY=your_api_key
+ *      export TELEGRAM_MAIN_CHAT_ID=your_chat_id   # optional: the one chat with the main role
  *   4. Run:
  *      node examples/telegram.js
  *
@@ -20,8 +21,9 @@
 
 import { Bot } from 'grammy';
 import {
-  runContainerAgent,
+  runGroupAgent,
   GroupQueue,
+  TaskScheduler,
   startIpcWatcher,
   createConfig,
 } from 'jsclaw';
@@ -32,46 +34,47 @@ if (!TOKEN) {
   process.exit(1);
 }
 
+// Every other chat is a member: its own messages and tasks only
+const MAIN_CHAT_ID = process.env.TELEGRAM_MAIN_CHAT_ID;
+
 const config = createConfig();
 const bot = new Bot(TOKEN);
 const queue = new GroupQueue(config);
 
-// Track sessions per chat for conversation continuity
-const sessions = new Map();
-
 /**
- * Process a message by running a container agent.
+ * Hand a message to the chat's agent. The first message starts a container;
+ * messages sent while it is alive are piped into it, and it closes after
+ * config.agentIdleTimeout of quiet.
  */
-async function processMessage(chatId, text, reply) {
+function processMessage(chatId, text) {
   const folder = `tg-${chatId}`;
-  const sessionId = sessions.get(chatId);
 
-  const result = await runContainerAgent(
-    { name: folder, folder },
+  // Sessions are resumed and stored automatically via config.storage
+  return runGroupAgent(
+    queue,
+    { name: folder, folder, jid: String(chatId) },
     {
       prompt: text,
       groupFolder: folder,
       chatJid: String(chatId),
-      isMain: true,
-      sessionId,
     },
-    null,
-    async (output) => {
-      if (output.result) {
-        // Split long messages (Telegram limit is 4096 chars)
-        const chunks = splitMessage(output.result, 4000);
-        for (const chunk of chunks) {
-          await reply(chunk);
+    {
+      onOutput: async (output) => {
+        if (output.type === 'tool_use' && output.phase === 'start') {
+          console.log(`[${folder}] using ${output.tool}`);
         }
-      }
-      if (output.newSessionId) {
-        sessions.set(chatId, output.newSessionId);
-      }
+        // Only reply with finished answers, not progress events
+        if (output.type === 'result' && output.result) {
+          // Split long messages (Telegram limit is 4096 chars)
+          const chunks = splitMessage(output.result, 4000);
+          for (const chunk of chunks) {
+            await bot.api.sendMessage(chatId, chunk);
+          }
+        }
+      },
     },
     config,
   );
-
-  return result;
 }
 
 /**
@@ -94,21 +97,30 @@ function splitMessage(text, maxLen) {
   return chunks;
 }
 
-// --- IPC watcher: handle messages sent by agents via MCP tools ---
+/**
+ * Send text to a chat on behalf of an agent or a scheduled task.
+ */
+async function sendToChat(jid, text) {
+  try {
+    for (const chunk of splitMessage(text, 4000)) {
+      await bot.api.sendMessage(Number(jid), chunk);
+    }
+  } catch (err) {
+    console.error(`Failed to send to ${jid}:`, err.message);
+  }
+}
+
+// --- Task scheduler: runs tasks agents create with the schedule_task tool ---
+
+// Tasks and their run history are kept in config.storage
+const scheduler = new TaskScheduler(queue, { sendMessage: sendToChat }, config);
+
+// --- IPC watcher: handle messages and task requests sent by agents via MCP tools ---
 
 startIpcWatcher({
-  sendMessage: async (jid, text) => {
-    try {
-      await bot.api.sendMessage(Number(jid), text);
-    } catch (err) {
-      console.error(`Failed to send to ${jid}:`, err.message);
-    }
-  },
-  onTask: async (type, data, sourceGroup, isMain) => {
-    console.log(`Task IPC: ${type}`, data);
-    // Implement your own task storage here
-  },
-  getRegisteredGroups: () => ({}),
+  sendMessage: sendToChat,
+  onTask: scheduler.handleIpcTask,
+  // Registered groups are read from config.storage
 }, config);
 
 // --- Bot handlers ---
@@ -119,23 +131,27 @@ bot.on('message:text', async (ctx) => {
 
   console.log(`[${chatId}] ${ctx.from.first_name}: ${text}`);
 
+  // Capabilities come from the registry, so the role is set here
+  await config.storage.registerGroup({
+    jid: String(chatId),
+    name: ctx.chat.title || ctx.from.first_name,
+    folder: `tg-${chatId}`,
+    role: String(chatId) === MAIN_CHAT_ID ? 'main' : 'member',
+  });
+
   // Show typing indicator
   await ctx.replyWithChatAction('typing');
 
-  // Use the queue to ensure one container per chat
-  try {
-    await queue.enqueueTask(String(chatId), `msg-${Date.now()}`, async () => {
-      await processMessage(chatId, text, (msg) => ctx.reply(msg));
-      return true;
-    });
-  } catch (err) {
+  // Not awaited: the run lasts until the conversation goes idle, and grammy
+  // must keep handling updates so follow-ups can be piped into it
+  processMessage(chatId, text).catch(async (err) => {
     console.error(`Error processing message:`, err.message);
     await ctx.reply('Sorry, something went wrong. Please try again.');
-  }
+  });
 });
 
 bot.command('reset', async (ctx) => {
-  sessions.delete(ctx.chat.id);
+  await config.storage.deleteSession(`tg-${ctx.chat.id}`);
   await ctx.reply('Session reset. Starting fresh.');
 });
 
@@ -150,6 +166,7 @@ bot.command('start', async (ctx) => {
 // --- Startup ---
 
 console.log('Starting Telegram bot...');
+await scheduler.start();
 bot.start({
   onStart: (info) => console.log(`Bot running as @${info.username}`),
 });
@@ -159,6 +176,7 @@ for (const signal of ['SIGINT', 'SIGTERM']) {
   process.on(signal, async () => {
     console.log(`\n${signal} received, shutting down...`);
     bot.stop();
+    scheduler.stop();
     await queue.shutdown();
     process.exit(0);
   });
@@ -0,0 +1,138 @@
+/**
+ * Security audit log. Mount validation, container spawns, secret access,
+ * cross-group IPC and tool permission decisions are appended as JSON lines,
+ * one entry per line, and rotated by size. Secret values are never written,
+ * only their names.
+ * @module audit
+ */
+
+import { appendFileSync, existsSync, mkdirSync, renameSync, rmSync, statSync } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+export class AuditLog {
+  /**
+   * @param {import('./types.js').AuditOptions & { logger?: Object }} options
+   */
+  constructor({ enabled = true, path, maxSize = 10 * 1024 * 1024, maxFiles = 5, logger } = {}) {
+    this._enabled = enabled && !!path;
+    this._path = path;
+    this._maxSize = maxSize;
+    this._maxFiles = maxFiles;
+    this._log = logger;
+  }
+
+  /**
+   * Append an entry. Failures are logged, never thrown: auditing must not
+   * break the operation being audited.
+   * @param {import('./types.js').AuditEvent} event
+   * @param {Object} details - Must include `groupFolder` and `outcome`
+   * @returns {import('./types.js').AuditEntry|null} The entry, or null when disabled
+   */
+  record(event, details) {
+    if (!this._enabled) return null;
+
+    // Details can't override the event or the time it was recorded
+    const entry = { ...details, timestamp: new Date().toISOString(), event };
+    const line = JSON.stringify(entry) + '\n';
+    try {
+      mkdirSync(dirname(this._path), { recursive: true });
+      this._rotateIfNeeded(Buffer.byteLength(line));
+      appendFileSync(this._path, line);
+    } catch (err) {
+      this._log?.error(`Failed to write audit entry`, { event, error: err.message });
+    }
+    return entry;
+  }
+
+  /**
+   * Find entries, oldest first, across the current and rotated files. Files
+   * are streamed line by line, newest first, and older files are not opened
+   * once `limit` entries are found or the entries fall before `since`.
+   * @param {import('./types.js').AuditFilter} [filter]
+   * @returns {Promise<import('./types.js').AuditEntry[]>}
+   */
+  async query(filter = {}) {
+    if (!this._path) return [];
+
+    const events = filter.event === undefined ? null : new Set([].concat(filter.event));
+    const since = filter.since ? new Date(filter.since).getTime() : null;
+    const until = filter.until ? new Date(filter.until).getTime() : null;
+
+    let matches = [];
+    for (const file of this._files()) {
+      let handle;
+      try {
+        handle = await open(file);
+      } catch {
+        continue;
+      }
+
+      const fileMatches = [];
+      let reachedSince = false;
+      try {
+        for await (const line of handle.readLines()) {
+          if (!line) continue;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch {
+            continue; // torn write
+          }
+          const time = new Date(entry.timestamp).getTime();
+          if (since !== null && time < since) {
+            reachedSince = true;
+            continue;
+          }
+          if (until !== null && time > until) continue;
+          if (events && !events.has(entry.event)) continue;
+          if (filter.groupFolder && entry.groupFolder !== filter.groupFolder) continue;
+          if (filter.outcome && entry.outcome !== filter.outcome) continue;
+          fileMatches.push(entry);
+          // Only the newest `limit` matches can make it into the result
+          if (filter.limit && fileMatches.length > filter.limit) fileMatches.shift();
+        }
+      } finally {
+        await handle.close();
+      }
+
+      matches = fileMatches.concat(matches);
+      if (filter.limit && matches.length >= filter.limit) break;
+      if (reachedSince) break; // rotated files only hold older entries
+    }
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  }
+
+  /**
+   * The current file followed by rotated files, newest first.
+   * @private
+   * @returns {string[]}
+   */
+  _files() {
+    const files = [this._path];
+    for (let i = 1; i <= this._maxFiles; i++) files.push(`${this._path}.${i}`);
+    return files;
+  }
+
+  /**
+   * Shift `audit.jsonl` to `audit.jsonl.1` and so on when the next line would
+   * push it past `maxSize`. The oldest file beyond `maxFiles` is deleted.
+   * @private
+   * @param {number} incoming - Bytes about to be appended
+   */
+  _rotateIfNeeded(incoming) {
+    if (!this._maxSize || !existsSync(this._path)) return;
+    if (statSync(this._path).size + incoming <= this._maxSize) return;
+
+    rmSync(`${this._path}.${this._maxFiles}`, { force: true });
+    for (let i = this._maxFiles - 1; i >= 1; i--) {
+      if (existsSync(`${this._path}.${i}`)) renameSync(`${this._path}.${i}`, `${this._path}.${i + 1}`);
+    }
+    if (this._maxFiles > 0) {
+      renameSync(this._path, `${this._path}.1`);
+    } else {
+      rmSync(this._path, { force: true });
+    }
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Group capabilities. Each group gets a role, a named set of capabilities,
+ * plus optional extras from its own config. The host IPC watcher, the task
+ * scheduler, the container runner and the in-container MCP server all check
+ * the same resolved set.
+ * @module capabilities
+ */
+
+/**
+ * Every capability a group can hold.
+ * - `message:own`        send messages to its own chat
+ * - `message:any`        send messages to any chat (`sendTo` allows specific ones)
+ * - `tasks:own`          schedule and manage its own tasks
+ * - `tasks:others`       schedule for other groups, manage and list every task
+ * - `mounts`             use `additionalMounts`
+ * - `mounts:privileged`  use main-only allowlist roots without forced read-only
+ * - `secrets:all`        receive every secret when `group.secrets` is unset
+ */
+export const CAPABILITIES = [
+  'message:own',
+  'message:any',
+  'tasks:own',
+  'tasks:others',
+  'mounts',
+  'mounts:privileged',
+  'secrets:all',
+];
+
+/** @type {Record<string, import('./types.js').RoleDefinition>} */
+export const ROLES = {
+  main: { capabilities: [...CAPABILITIES] },
+  member: { capabilities: ['message:own', 'tasks:own', 'mounts'] },
+};
+
+/**
+ * Check a role definition or a group's capability settings.
+ * @param {Object} spec
+ * @param {string} label - Prefix for error messages
+ * @throws {Error} If a capability is unknown or a list is malformed
+ */
+function validateSpec(spec, label) {
+  for (const key of ['capabilities', 'sendTo', 'tools']) {
+    const list = spec[key];
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || list.some((v) => typeof v !== 'string' || !v)) {
+      throw new Error(`${label}.${key} must be an array of non-empty strings`);
+    }
+  }
+  for (const name of spec.capabilities || []) {
+    if (!CAPABILITIES.includes(name)) {
+      throw new Error(`${label}.capabilities has unknown capability '${name}' (expected one of ${CAPABILITIES.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * The role a group plays. Groups without an explicit role are 'main' when
+ * flagged `isMain` or, for registries that predate roles, when their folder
+ * is 'main'.
+ * @param {import('./types.js').GroupConfig|import('./types.js').RegisteredGroup} group
+ * @returns {string}
+ */
+export function groupRole(group) {
+  if (group?.role) return group.role;
+  return group?.isMain || group?.folder === 'main' ? 'main' : 'member';
+}
+
+/** Role reported for folders that aren't registered; it holds no capabilities. */
+export const UNREGISTERED_ROLE = 'unregistered';
+
+/**
+ * Resolve a group's effective capabilities: its role's, plus any granted to
+ * the group directly. A group that isn't registered gets none at all.
+ * @param {import('./types.js').GroupConfig|import('./types.js').RegisteredGroup|undefined} group - undefined for unregistered groups
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {import('./types.js').GroupCapabilities}
+ * @throws {Error} If the role is unknown or a capability is misspelled
+ */
+export function resolveCapabilities(group, config) {
+  if (!group) {
+    return { role: UNREGISTERED_ROLE, isMain: false, capabilities: [], sendTo: [] };
+  }
+  const role = groupRole(group);
+  const roles = { ...ROLES, ...config.roles };
+  const definition = roles[role];
+  if (!definition) {
+    throw new Error(`Unknown role '${role}' for group ${group.folder} (known: ${Object.keys(roles).join(', ')})`);
+  }
+  if (config.roles?.[role]) validateSpec(definition, `roles.${role}`);
+  validateSpec(group, group.folder);
+
+  const tools = group.tools ?? definition.tools;
+  return {
+    role,
+    isMain: role === 'main',
+    capabilities: [...new Set([...(definition.capabilities || []), ...(group.capabilities || [])])],
+    sendTo: [...new Set([...(definition.sendTo || []), ...(group.sendTo || [])])],
+    ...(tools && { tools: [...tools] }),
+  };
+}
+
+/**
+ * Whether a resolved set holds a capability.
+ * @param {import('./types.js').GroupCapabilities} caps
+ * @param {string} capability
+ * @returns {boolean}
+ */
+export function hasCapability(caps, capability) {
+  return caps.capabilities.includes(capability);
+}
+
+/**
+ * Whether a group may message a chat.
+ * @param {import('./types.js').GroupCapabilities} caps
+ * @param {string} targetJid
+ * @param {string} [ownJid] - The group's own chat
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export function checkSendTo(caps, targetJid, ownJid) {
+  if (targetJid === ownJid) {
+    return hasCapability(caps, 'message:own')
+      ? { allowed: true }
+      : { allowed: false, reason: 'missing capability message:own' };
+  }
+  if (hasCapability(caps, 'message:any') || caps.sendTo.includes(targetJid)) {
+    return { allowed: true };
+  }
+  return { allowed: false, reason: 'missing capability message:any and target not in sendTo' };
+}
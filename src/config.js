@@ -5,6 +5,9 @@
 
 import { join } from 'node:path';
 import { createLogger } from './logger.js';
+import { createFileStorage } from './storage.js';
+import { ToolRegistry } from './tools.js';
+import { AuditLog } from './audit.js';
 
 /** @type {import('./types.js').JsclawConfig} */
 const DEFAULTS = {
@@ -13,11 +16,46 @@ const DEFAULTS = {
   containerTimeout: 30 * 60 * 1000, // 30 minutes
   maxOutputSize: 10 * 1024 * 1024,  // 10 MB
   maxConcurrentContainers: 5,
+  queueAgingInterval: 60 * 1000, // 1 minute
+  queueJournal: false,
+  messageDebounce: 0,
+  agentIdleTimeout: 5 * 60 * 1000, // 5 minutes
+  retryPolicy: {
+    maxRetries: 5,
+    baseDelay: 5000,
+    factor: 2,
+    maxDelay: 5 * 60 * 1000, // 5 minutes
+    jitter: 0.2,
+  },
+  containerLimits: {},
+  quotas: {},
+  audit: {
+    enabled: true,
+    path: undefined, // <dataDir>/audit/audit.jsonl
+    maxSize: 10 * 1024 * 1024, // 10 MB
+    maxFiles: 5,
+  },
   ipcPollInterval: 1000,
+  ipcWatch: true,
+  ipcReconcileInterval: 30 * 1000, // 30 seconds
+  ipcAuth: true,
+  schedulerPollInterval: 60 * 1000, // 1 minute
+  usageRetentionDays: 0, // keep forever
   dataDir: join(process.cwd(), 'data'),
   groupsDir: join(process.cwd(), 'groups'),
   mountAllowlistPath: undefined,
+  trustAdditionalMounts: false,
+  secrets: {},
+  secretsFile: undefined,
+  defaultGroupSecrets: ['ANTHROPIC_API_KEY', 'CLAUDE_CODE_OAUTH_TOKEN'],
+  toolPolicy: undefined,
+  streamPartialText: true,
+  interruptMode: 'queue',
+  roles: {},
   logger: undefined,
+  storage: undefined,
+  tools: undefined,
+  auditLog: undefined,
 };
 
 /**
@@ -28,6 +66,34 @@ const DEFAULTS = {
 export function createConfig(overrides = {}) {
   const env = process.env;
 
+  const envLimits = {
+    ...(env.JSCLAW_CONTAINER_CPUS && { cpus: Number(env.JSCLAW_CONTAINER_CPUS) }),
+    ...(env.JSCLAW_CONTAINER_MEMORY && { memory: env.JSCLAW_CONTAINER_MEMORY }),
+    ...(env.JSCLAW_CONTAINER_PIDS_LIMIT && { pidsLimit: Number(env.JSCLAW_CONTAINER_PIDS_LIMIT) }),
+    ...(env.JSCLAW_CONTAINER_NETWORK && { network: env.JSCLAW_CONTAINER_NETWORK }),
+  };
+
+  const envQuotas = {
+    ...(env.JSCLAW_QUOTA_MAX_RUNS && { maxRuns: Number(env.JSCLAW_QUOTA_MAX_RUNS) }),
+    ...(env.JSCLAW_QUOTA_WINDOW && { windowMs: Number(env.JSCLAW_QUOTA_WINDOW) }),
+    ...(env.JSCLAW_QUOTA_MAX_QUEUED && { maxQueued: Number(env.JSCLAW_QUOTA_MAX_QUEUED) }),
+    ...(env.JSCLAW_QUOTA_DAILY_TOKENS && { dailyTokens: Number(env.JSCLAW_QUOTA_DAILY_TOKENS) }),
+    ...(env.JSCLAW_QUOTA_DAILY_COST && { dailyCostUsd: Number(env.JSCLAW_QUOTA_DAILY_COST) }),
+  };
+
+  const envRetry = {
+    ...(env.JSCLAW_RETRY_MAX && { maxRetries: Number(env.JSCLAW_RETRY_MAX) }),
+    ...(env.JSCLAW_RETRY_BASE_DELAY && { baseDelay: Number(env.JSCLAW_RETRY_BASE_DELAY) }),
+    ...(env.JSCLAW_RETRY_MAX_DELAY && { maxDelay: Number(env.JSCLAW_RETRY_MAX_DELAY) }),
+  };
+
+  const envAudit = {
+    ...(env.JSCLAW_AUDIT && { enabled: env.JSCLAW_AUDIT !== 'false' }),
+    ...(env.JSCLAW_AUDIT_PATH && { path: env.JSCLAW_AUDIT_PATH }),
+    ...(env.JSCLAW_AUDIT_MAX_SIZE && { maxSize: Number(env.JSCLAW_AUDIT_MAX_SIZE) }),
+    ...(env.JSCLAW_AUDIT_MAX_FILES && { maxFiles: Number(env.JSCLAW_AUDIT_MAX_FILES) }),
+  };
+
   const config = {
     ...DEFAULTS,
     // Env var overrides
@@ -36,18 +102,51 @@ export function createConfig(overrides = {}) {
     ...(env.JSCLAW_CONTAINER_TIMEOUT && { containerTimeout: Number(env.JSCLAW_CONTAINER_TIMEOUT) }),
     ...(env.JSCLAW_MAX_OUTPUT_SIZE && { maxOutputSize: Number(env.JSCLAW_MAX_OUTPUT_SIZE) }),
     ...(env.JSCLAW_MAX_CONCURRENT && { maxConcurrentContainers: Number(env.JSCLAW_MAX_CONCURRENT) }),
+    ...(env.JSCLAW_QUEUE_AGING_INTERVAL && { queueAgingInterval: Number(env.JSCLAW_QUEUE_AGING_INTERVAL) }),
+    ...(env.JSCLAW_AGENT_IDLE_TIMEOUT && { agentIdleTimeout: Number(env.JSCLAW_AGENT_IDLE_TIMEOUT) }),
+    ...(env.JSCLAW_MESSAGE_DEBOUNCE && { messageDebounce: Number(env.JSCLAW_MESSAGE_DEBOUNCE) }),
+    ...(env.JSCLAW_QUEUE_JOURNAL && { queueJournal: env.JSCLAW_QUEUE_JOURNAL !== 'false' }),
     ...(env.JSCLAW_IPC_POLL_INTERVAL && { ipcPollInterval: Number(env.JSCLAW_IPC_POLL_INTERVAL) }),
+    ...(env.JSCLAW_IPC_WATCH && { ipcWatch: env.JSCLAW_IPC_WATCH !== 'false' }),
+    ...(env.JSCLAW_IPC_RECONCILE_INTERVAL && { ipcReconcileInterval: Number(env.JSCLAW_IPC_RECONCILE_INTERVAL) }),
+    ...(env.JSCLAW_IPC_AUTH && { ipcAuth: env.JSCLAW_IPC_AUTH !== 'false' }),
+    ...(env.JSCLAW_SCHEDULER_POLL_INTERVAL && { schedulerPollInterval: Number(env.JSCLAW_SCHEDULER_POLL_INTERVAL) }),
+    ...(env.JSCLAW_USAGE_RETENTION_DAYS && { usageRetentionDays: Number(env.JSCLAW_USAGE_RETENTION_DAYS) }),
     ...(env.JSCLAW_DATA_DIR && { dataDir: env.JSCLAW_DATA_DIR }),
     ...(env.JSCLAW_GROUPS_DIR && { groupsDir: env.JSCLAW_GROUPS_DIR }),
     ...(env.JSCLAW_MOUNT_ALLOWLIST && { mountAllowlistPath: env.JSCLAW_MOUNT_ALLOWLIST }),
+    ...(env.JSCLAW_TRUST_ADDITIONAL_MOUNTS && { trustAdditionalMounts: env.JSCLAW_TRUST_ADDITIONAL_MOUNTS === 'true' }),
+    ...(env.JSCLAW_SECRETS_FILE && { secretsFile: env.JSCLAW_SECRETS_FILE }),
+    ...(env.JSCLAW_STREAM_PARTIAL_TEXT && { streamPartialText: env.JSCLAW_STREAM_PARTIAL_TEXT !== 'false' }),
+    ...(env.JSCLAW_INTERRUPT_MODE && { interruptMode: env.JSCLAW_INTERRUPT_MODE }),
     // Explicit overrides take precedence
     ...overrides,
+    containerLimits: { ...DEFAULTS.containerLimits, ...envLimits, ...overrides.containerLimits },
+    quotas: { ...DEFAULTS.quotas, ...envQuotas, ...overrides.quotas },
+    retryPolicy: { ...DEFAULTS.retryPolicy, ...envRetry, ...overrides.retryPolicy },
+    audit: { ...DEFAULTS.audit, ...envAudit, ...overrides.audit },
   };
 
   if (!config.logger) {
     config.logger = createLogger({ level: env.JSCLAW_LOG_LEVEL || 'info' });
   }
 
+  if (!config.storage) {
+    config.storage = createFileStorage(join(config.dataDir, 'store'), { usageRetentionDays: config.usageRetentionDays });
+  }
+
+  if (!config.tools) {
+    config.tools = new ToolRegistry();
+  }
+
+  if (!config.auditLog) {
+    config.auditLog = new AuditLog({
+      ...config.audit,
+      path: config.audit.path || join(config.dataDir, 'audit', 'audit.jsonl'),
+      logger: config.logger,
+    });
+  }
+
   return config;
 }
 
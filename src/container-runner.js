@@ -8,42 +8,236 @@ import { spawn, exec } from 'node:child_process';
 import { mkdirSync, writeFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { createConfig } from './config.js';
+import { drainIpcDir } from './ipc-utils.js';
+import { resolveGroupSecrets, partitionSecrets } from './secrets.js';
+import { resolveToolPolicy } from './tool-policy.js';
+import { validateAdditionalMounts, normalizeMount, checkContainerPath, MountValidationError } from './mount-security.js';
+import { resolveCapabilities, hasCapability } from './capabilities.js';
+import { createIpcRun } from './ipc-auth.js';
+import { UsageLedger } from './usage.js';
 
 const OUTPUT_START_MARKER = '---JSCLAW_OUTPUT_START---';
 const OUTPUT_END_MARKER = '---JSCLAW_OUTPUT_END---';
 
+// Writable paths a read-only root still needs: scratch space, and the agent's
+// home where the SDK keeps its state (~/.claude). The image runs as root.
+const READ_ONLY_SCRATCH = ['/tmp', '/root'];
+
+// Limits each runtime can express. Apple's `container` runs each container in
+// its own VM, so capability, seccomp and pids controls don't apply there.
+const SUPPORTED_LIMITS = {
+  docker: null, // everything
+  podman: null,
+  container: new Set(['cpus', 'memory', 'tmpfs', 'user', 'network']),
+};
+
 /**
- * Build the volume mount arguments for the container runtime.
+ * Resolve a group's additional mounts, validated against the mount allowlist
+ * unless `config.trustAdditionalMounts` is set. The group needs the `mounts`
+ * capability; main-only roots also need `mounts:privileged`.
  * @param {import('./types.js').GroupConfig} group
  * @param {import('./types.js').JsclawConfig} config
- * @returns {string[]} CLI arguments for volume mounts
+ * @param {import('./types.js').GroupCapabilities} caps
+ * @returns {import('./types.js').VolumeMount[]}
+ * @throws {MountValidationError} If any mount is rejected
  */
-export function buildVolumeMounts(group, config) {
-  const args = [];
+function resolveAdditionalMounts(group, config, caps) {
+  const mounts = group.additionalMounts || [];
+  if (mounts.length === 0) return [];
+
+  if (!hasCapability(caps, 'mounts')) {
+    const rejected = mounts.map((m) => ({ ...normalizeMount(m), reason: 'missing capability mounts' }));
+    config.auditLog.record('capability_denied', {
+      groupFolder: group.folder,
+      outcome: 'denied',
+      capability: 'mounts',
+      action: 'mount',
+      rejected,
+    });
+    throw new MountValidationError(
+      `Group ${group.folder} (role ${caps.role}) may not use additional mounts`,
+      { group: group.folder, rejected },
+    );
+  }
+  if (config.trustAdditionalMounts) {
+    const trusted = mounts.map(normalizeMount);
+    // Trusted mounts skip the allowlist but may still not shadow the runner's own
+    const rejected = trusted
+      .map((m) => ({ ...m, reason: checkContainerPath(m.containerPath) }))
+      .filter((m) => m.reason);
+    if (rejected.length > 0) {
+      const list = rejected.map((r) => `${r.hostPath} -> ${r.containerPath}: ${r.reason}`).join('; ');
+      throw new MountValidationError(
+        `Rejected ${rejected.length} mount(s) for group ${group.folder}: ${list}`,
+        { group: group.folder, rejected },
+      );
+    }
+    config.auditLog.record('mount_validation', { groupFolder: group.folder, outcome: 'trusted', mounts: trusted });
+    return trusted;
+  }
+
+  const result = validateAdditionalMounts(
+    mounts, group.folder, hasCapability(caps, 'mounts:privileged'), config.mountAllowlistPath,
+  );
+  config.auditLog.record('mount_validation', {
+    groupFolder: group.folder,
+    outcome: result.valid ? 'allowed' : 'denied',
+    mounts: result.mounts,
+    rejected: result.rejected,
+  });
+  if (!result.valid) {
+    const list = result.rejected.map((r) => `${r.hostPath} -> ${r.containerPath}: ${r.reason}`).join('; ');
+    throw new MountValidationError(
+      `Rejected ${result.rejected.length} mount(s) for group ${group.folder}: ${list}`,
+      { group: group.folder, rejected: result.rejected },
+    );
+  }
+  return result.mounts;
+}
+
+/**
+ * Every mount a group's container gets: its workspace, the IPC directories
+ * and the validated additional mounts. Creates the group's directories.
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').JsclawConfig} config
+ * @param {import('./types.js').GroupCapabilities} [caps] - As resolved for the run (default: from `group`)
+ * @returns {import('./types.js').VolumeMount[]}
+ * @throws {MountValidationError} If an additional mount isn't permitted by the allowlist
+ */
+export function resolveVolumeMounts(group, config, caps = resolveCapabilities(group, config)) {
+  // Validate before touching the filesystem so a rejected group leaves no trace
+  const additionalMounts = resolveAdditionalMounts(group, config, caps);
+
   const groupDir = join(config.groupsDir, group.folder);
   const ipcDir = join(config.dataDir, 'ipc', group.folder);
 
   // Ensure directories exist
-  for (const dir of [groupDir, join(ipcDir, 'messages'), join(ipcDir, 'tasks'), join(ipcDir, 'input')]) {
+  for (const dir of [groupDir, ...['messages', 'tasks', 'input', 'responses'].map((d) => join(ipcDir, d))]) {
     mkdirSync(dir, { recursive: true });
   }
 
-  // Group workspace (read-write)
-  args.push('-v', `${groupDir}:/workspace/group`);
+  return [
+    // Group workspace (read-write)
+    { hostPath: groupDir, containerPath: '/workspace/group', readOnly: false },
+    // IPC directories
+    ...['messages', 'tasks', 'input', 'responses'].map((d) => (
+      { hostPath: `${ipcDir}/${d}`, containerPath: `/workspace/ipc/${d}`, readOnly: false }
+    )),
+    // Additional mounts from group config
+    ...additionalMounts,
+  ];
+}
 
-  // IPC directories
-  args.push('-v', `${ipcDir}/messages:/workspace/ipc/messages`);
-  args.push('-v', `${ipcDir}/tasks:/workspace/ipc/tasks`);
-  args.push('-v', `${ipcDir}/input:/workspace/ipc/input`);
+/**
+ * Turn mounts into container runtime arguments.
+ * @param {import('./types.js').VolumeMount[]} mounts
+ * @returns {string[]}
+ */
+function toMountArgs(mounts) {
+  const args = [];
+  for (const mount of mounts) {
+    if (mount.readOnly) {
+      args.push('--mount', `type=bind,source=${mount.hostPath},target=${mount.containerPath},readonly`);
+    } else {
+      args.push('-v', `${mount.hostPath}:${mount.containerPath}`);
+    }
+  }
+  return args;
+}
 
-  // Additional mounts from group config
-  if (group.additionalMounts) {
-    for (const mount of group.additionalMounts) {
-      if (mount.readOnly) {
-        args.push('--mount', `type=bind,source=${mount.hostPath},target=${mount.containerPath},readonly`);
-      } else {
-        args.push('-v', `${mount.hostPath}:${mount.containerPath}`);
+/**
+ * Build the volume mount arguments for the container runtime.
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {string[]} CLI arguments for volume mounts
+ * @throws {MountValidationError} If an additional mount isn't permitted by the allowlist
+ */
+export function buildVolumeMounts(group, config) {
+  return toMountArgs(resolveVolumeMounts(group, config));
+}
+
+/**
+ * Merge the global container limits with a group's overrides.
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {import('./types.js').ContainerLimits}
+ */
+export function resolveContainerLimits(group, config) {
+  return { ...config.containerLimits, ...group.containerLimits };
+}
+
+/**
+ * Translate container limits into runtime CLI arguments.
+ * Limits the runtime can't express are skipped with a warning.
+ * @param {import('./types.js').ContainerLimits} limits
+ * @param {string} runtime - 'docker' | 'podman' | 'container'
+ * @param {import('./types.js').Logger} [log]
+ * @returns {string[]}
+ */
+export function buildResourceArgs(limits = {}, runtime = 'docker', log) {
+  const args = [];
+  const supported = SUPPORTED_LIMITS[runtime] ?? null;
+
+  for (const [key, value] of Object.entries(limits)) {
+    if (value === undefined || value === null || value === false) continue;
+    if (supported && !supported.has(key)) {
+      log?.warn(`Container limit '${key}' is not supported by runtime '${runtime}', ignoring`);
+      continue;
+    }
+
+    switch (key) {
+      case 'cpus':
+        args.push('--cpus', String(value));
+        break;
+      case 'cpuShares':
+        args.push('--cpu-shares', String(value));
+        break;
+      case 'cpuPeriod':
+        args.push('--cpu-period', String(value));
+        break;
+      case 'cpuQuota':
+        args.push('--cpu-quota', String(value));
+        break;
+      case 'memory':
+        args.push('--memory', String(value));
+        break;
+      case 'memorySwap':
+        args.push('--memory-swap', String(value));
+        break;
+      case 'pidsLimit':
+        args.push('--pids-limit', String(value));
+        break;
+      case 'readOnlyRootfs': {
+        args.push('--read-only');
+        const listed = (limits.tmpfs || []).map((entry) => entry.split(':')[0]);
+        for (const path of READ_ONLY_SCRATCH) {
+          if (!listed.includes(path)) args.push('--tmpfs', path);
+        }
+        break;
       }
+      case 'tmpfs':
+        for (const path of value) args.push('--tmpfs', path);
+        break;
+      case 'capDrop':
+        for (const cap of value) args.push('--cap-drop', cap);
+        break;
+      case 'capAdd':
+        for (const cap of value) args.push('--cap-add', cap);
+        break;
+      case 'noNewPrivileges':
+        args.push('--security-opt', 'no-new-privileges');
+        break;
+      case 'user':
+        args.push('--user', String(value));
+        break;
+      case 'userns':
+        args.push('--userns', String(value));
+        break;
+      case 'network':
+        args.push('--network', String(value));
+        break;
+      default:
+        log?.warn(`Unknown container limit '${key}', ignoring`);
     }
   }
 
@@ -56,24 +250,22 @@ export function buildVolumeMounts(group, config) {
  * @param {string} containerName - Unique container name
  * @param {import('./types.js').JsclawConfig} config
  * @param {Object} [envVars] - Additional environment variables
+ * @param {import('./types.js').ContainerLimits} [limits] - Resource limits (default: config.containerLimits)
  * @returns {string[]}
  */
-export function buildContainerArgs(mountArgs, containerName, config, envVars = {}) {
+export function buildContainerArgs(mountArgs, containerName, config, envVars = {}, limits = config.containerLimits) {
   const args = [
     'run', '-i', '--rm',
     '--name', containerName,
   ];
 
+  args.push(...buildResourceArgs(limits, config.containerRuntime, config.logger));
+
   // Environment variables
   for (const [key, value] of Object.entries(envVars)) {
     args.push('-e', `${key}=${value}`);
   }
 
-  // Pass through ANTHROPIC_API_KEY if set
-  if (process.env.ANTHROPIC_API_KEY) {
-    args.push('-e', `ANTHROPIC_API_KEY=${process.env.ANTHROPIC_API_KEY}`);
-  }
-
   args.push(...mountArgs);
   args.push(config.containerImage);
 
@@ -101,7 +293,7 @@ export function parseContainerOutput(buffer) {
     try {
       outputs.push(JSON.parse(jsonStr));
     } catch {
-      outputs.push({ status: 'error', result: null, error: `Failed to parse output: ${jsonStr.slice(0, 200)}` });
+      outputs.push({ type: 'result', status: 'error', result: null, error: `Failed to parse output: ${jsonStr.slice(0, 200)}` });
     }
 
     remaining = remaining.slice(endIdx + OUTPUT_END_MARKER.length);
@@ -110,13 +302,65 @@ export function parseContainerOutput(buffer) {
   return { outputs, remaining };
 }
 
+/**
+ * Resolve a run's capabilities from the registered group, the same entry the
+ * IPC watcher and the task scheduler check, so the container and the host
+ * always agree. A folder that isn't registered gets no capabilities.
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {Promise<import('./types.js').GroupCapabilities>}
+ * @throws {Error} If the registry can't be read or names an unknown role or capability
+ */
+async function resolveRunCapabilities(group, config) {
+  const groups = await config.storage.getRegisteredGroups();
+  const registered = Object.values(groups).find((g) => g.folder === group.folder);
+  if (!registered && (group.role || group.isMain || group.capabilities || group.tools)) {
+    config.logger.warn(`Group is not registered; its role and capabilities are ignored`, { group: group.folder });
+  }
+  return resolveCapabilities(registered, config);
+}
+
+/**
+ * Build the usage ledger entry for a result output.
+ * @param {import('./types.js').ContainerOutput} output
+ * @param {import('./types.js').ContainerInput} input
+ * @returns {import('./types.js').UsageRecord}
+ */
+function toUsageRecord(output, input) {
+  const usage = output.usage;
+  return {
+    timestamp: new Date().toISOString(),
+    groupFolder: input.groupFolder,
+    chatJid: input.chatJid,
+    taskId: input.taskId || null,
+    sessionId: output.newSessionId || null,
+    status: output.status,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    cacheReadTokens: usage.cacheReadTokens || 0,
+    cacheCreationTokens: usage.cacheCreationTokens || 0,
+    costUsd: usage.costUsd || 0,
+    numTurns: usage.numTurns || 0,
+    durationMs: usage.durationMs || 0,
+  };
+}
+
 /**
  * Run a Claude agent inside a container.
+ * Resumes the group's stored session when `input.sessionId` is not given and
+ * stores each new session ID in `config.storage`. Capabilities come from the
+ * group registered in `config.storage` under `group.folder`.
+ *
+ * `onOutput` receives every output as it arrives, discriminated by `type`:
+ * `'result'` for the end of each query and progress events (`'text_delta'`,
+ * `'text'`, `'thinking'`, `'tool_use'`, `'error'`) while the agent works.
+ * Only result outputs count as the run's final output and carry session IDs.
+ * Results that report usage are recorded in the `config.storage` usage ledger.
  *
  * @param {import('./types.js').GroupConfig} group - Group configuration
  * @param {import('./types.js').ContainerInput} input - Agent input
  * @param {(proc: import('node:child_process').ChildProcess, containerName: string) => void} [onProcess] - Called when container starts
- * @param {(output: import('./types.js').ContainerOutput) => Promise<void>} [onOutput] - Called for each streaming output
+ * @param {(output: import('./types.js').AgentOutput) => Promise<void>} [onOutput] - Called for each streaming output
  * @param {import('./types.js').JsclawConfig} [config] - Configuration
  * @returns {Promise<import('./types.js').ContainerOutput>}
  */
@@ -125,14 +369,63 @@ export async function runContainerAgent(group, input, onProcess, onOutput, confi
   const log = config.logger;
   const containerName = `jsclaw-${group.folder}-${Date.now()}`;
 
-  const mountArgs = buildVolumeMounts(group, config);
+  // Resume the stored session unless the caller chose one or asked for a fresh start
+  const { freshSession, taskId, ...agentInput } = input;
+  if (agentInput.sessionId === undefined && !freshSession) {
+    try {
+      const stored = await config.storage.getSession(group.folder);
+      if (stored) agentInput.sessionId = stored;
+    } catch (err) {
+      log.warn(`Failed to load session`, { group: group.folder, error: err.message });
+    }
+  }
+
+  const caps = await resolveRunCapabilities(group, config);
+  const mounts = resolveVolumeMounts(group, config, caps);
+
+  // Replies nobody collected belong to a previous run
+  drainIpcDir(join(config.dataDir, 'ipc', group.folder, 'responses'));
+  // A fresh key per run; from here on the previous run's files are rejected
+  const ipcAuth = config.ipcAuth ? createIpcRun(group.folder, config) : null;
   const envVars = {
     JSCLAW_CHAT_JID: input.chatJid,
     JSCLAW_GROUP_FOLDER: input.groupFolder,
-    JSCLAW_IS_MAIN: String(input.isMain),
+    JSCLAW_IS_MAIN: String(caps.isMain),
+    JSCLAW_CAPABILITIES: JSON.stringify({ role: caps.role, capabilities: caps.capabilities, sendTo: caps.sendTo }),
+    JSCLAW_IDLE_TIMEOUT: String(config.agentIdleTimeout || 0),
+    JSCLAW_CONTAINER_TIMEOUT: String(config.containerTimeout),
+    ...(caps.tools && { JSCLAW_ALLOWED_TOOLS: JSON.stringify(caps.tools) }),
   };
-  const args = buildContainerArgs(mountArgs, containerName, config, envVars);
-
+  // Secrets travel in the stdin payload so they never show up in `ps` or `docker inspect`
+  const { credentials, toolSecrets, withheld } = partitionSecrets(
+    resolveGroupSecrets(group, hasCapability(caps, 'secrets:all'), config),
+    group,
+  );
+  const delivered = [...Object.keys(credentials), ...Object.keys(toolSecrets)];
+  const toolPolicy = resolveToolPolicy(group, config);
+
+  const limits = resolveContainerLimits(group, config);
+  const args = buildContainerArgs(toMountArgs(mounts), containerName, config, envVars, limits);
+
+  if (delivered.length > 0) {
+    config.auditLog.record('secret_access', {
+      groupFolder: group.folder,
+      outcome: 'allowed',
+      secrets: delivered,
+    });
+  }
+  if (withheld.length > 0) {
+    log.debug(`Secrets not in toolSecrets are withheld from the container`, { group: group.folder, secrets: withheld });
+  }
+  config.auditLog.record('container_spawn', {
+    groupFolder: group.folder,
+    outcome: 'allowed',
+    containerName,
+    chatJid: input.chatJid,
+    isMain: caps.isMain,
+    role: caps.role,
+    mounts,
+  });
   log.info(`Spawning container: ${containerName}`, { group: group.folder });
 
   return new Promise((resolve, reject) => {
@@ -165,7 +458,41 @@ export async function runContainerAgent(group, input, onProcess, onOutput, confi
       }, config.containerTimeout);
     }
 
-    proc.stdout.on('data', async (chunk) => {
+    /**
+     * Store the session and usage of an output and pass it to onOutput.
+     * Never throws.
+     * @param {import('./types.js').AgentOutput} output
+     * @param {boolean} isResult
+     */
+    async function handleOutput(output, isResult) {
+      if (isResult && output.newSessionId && !freshSession) {
+        try {
+          await config.storage.setSession(group.folder, output.newSessionId);
+        } catch (err) {
+          log.warn(`Failed to store session`, { group: group.folder, error: err.message });
+        }
+      }
+      if (isResult && output.usage) {
+        try {
+          await new UsageLedger(config).record(toUsageRecord(output, input));
+        } catch (err) {
+          log.warn(`Failed to record usage`, { group: group.folder, error: err.message });
+        }
+      }
+      if (onOutput) {
+        try {
+          await onOutput(output);
+        } catch (err) {
+          log.error(`onOutput callback error`, { error: err.message });
+        }
+      }
+    }
+
+    // Outputs are handled one at a time, in order, across stdout chunks;
+    // 'close' waits for the chain so the final result is handled first
+    let handled = Promise.resolve();
+
+    proc.stdout.on('data', (chunk) => {
       stdoutBuffer += chunk.toString();
 
       // Check buffer size limit
@@ -179,15 +506,16 @@ export async function runContainerAgent(group, input, onProcess, onOutput, confi
       stdoutBuffer = remaining;
 
       for (const output of outputs) {
-        lastOutput = output;
         resetTimeout();
-        if (onOutput) {
-          try {
-            await onOutput(output);
-          } catch (err) {
-            log.error(`onOutput callback error`, { error: err.message });
-          }
+        // Outputs without a type come from older agent-runner images
+        const isResult = !output.type || output.type === 'result';
+        if (isResult) {
+          // The exit marker carries no text; keep the last reply and adopt its reason
+          lastOutput = output.reason && output.result === null && lastOutput
+            ? { ...lastOutput, reason: output.reason, newSessionId: output.newSessionId ?? lastOutput.newSessionId }
+            : output;
         }
+        handled = handled.then(() => handleOutput(output, isResult));
       }
     });
 
@@ -199,15 +527,18 @@ export async function runContainerAgent(group, input, onProcess, onOutput, confi
       }
     });
 
-    proc.on('close', (code) => {
+    proc.on('close', async (code) => {
       clearTimeout(timeoutHandle);
+      await handled;
 
       if (timedOut) {
         resolve({
+          type: 'result',
           status: 'error',
           result: lastOutput?.result || null,
           error: `Container timed out after ${config.containerTimeout}ms`,
           newSessionId: lastOutput?.newSessionId,
+          reason: 'timeout',
         });
         return;
       }
@@ -215,9 +546,10 @@ export async function runContainerAgent(group, input, onProcess, onOutput, confi
       if (lastOutput) {
         resolve(lastOutput);
       } else if (code === 0) {
-        resolve({ status: 'success', result: null });
+        resolve({ type: 'result', status: 'success', result: null });
       } else {
         resolve({
+          type: 'result',
           status: 'error',
           result: null,
           error: `Container exited with code ${code}. stderr: ${stderrBuffer.slice(-500)}`,
@@ -231,11 +563,57 @@ export async function runContainerAgent(group, input, onProcess, onOutput, confi
     });
 
     // Write input to stdin and close
-    proc.stdin.write(JSON.stringify(input));
+    proc.stdin.write(JSON.stringify({
+      ...agentInput,
+      secrets: credentials,
+      toolSecrets,
+      ...(ipcAuth && { ipcAuth }),
+      tools: config.tools.listTools(),
+      ...(toolPolicy && { toolPolicy }),
+      streamPartialText: config.streamPartialText,
+      interruptMode: group.interruptMode || config.interruptMode,
+    }));
     proc.stdin.end();
   });
 }
 
+/**
+ * List the names of running jsclaw containers.
+ * @param {import('./types.js').JsclawConfig} [config]
+ * @returns {Promise<string[]>}
+ */
+export function listRunningContainers(config) {
+  config = config || createConfig();
+  const runtime = config.containerRuntime;
+  // Apple's container CLI has no name filter; its first column is the container ID, which is the name
+  const command = runtime === 'container'
+    ? `${runtime} ls`
+    : `${runtime} ps --filter name=jsclaw- --format '{{.Names}}'`;
+
+  return new Promise((resolve, reject) => {
+    exec(command, (err, stdout) => {
+      if (err) {
+        reject(new Error(`Failed to list containers: ${err.message}`));
+        return;
+      }
+      const names = stdout
+        .split('\n')
+        .map((line) => line.trim().split(/\s+/)[0])
+        .filter((name) => name && name.startsWith('jsclaw-'));
+      resolve(names);
+    });
+  });
+}
+
+/**
+ * Stop a container, killing it if it doesn't stop.
+ * @param {string} containerName
+ * @param {import('./types.js').JsclawConfig} [config]
+ */
+export function stopContainer(containerName, config) {
+  killContainer(containerName, config || createConfig());
+}
+
 /**
  * Kill a running container.
  * @param {string} containerName
@@ -0,0 +1,210 @@
+/**
+ * Minimal cron expression parser and next-run calculator.
+ * Supports 5-field (minute precision) and 6-field (leading seconds) expressions,
+ * lists, ranges, steps, month/weekday names and the common @macros.
+ * @module cron
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// Give up if no match is found within this many years (e.g. '0 0 30 2 *')
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} second
+ * @property {Set<number>} minute
+ * @property {Set<number>} hour
+ * @property {Set<number>} dayOfMonth
+ * @property {Set<number>} month
+ * @property {Set<number>} dayOfWeek - 0-6, Sunday is 0
+ * @property {boolean} domRestricted - Whether day-of-month was not '*'
+ * @property {boolean} dowRestricted - Whether day-of-week was not '*'
+ */
+
+/**
+ * Parse a single value, resolving month/weekday names.
+ * @param {string} raw
+ * @param {Object} field
+ * @returns {number}
+ */
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(lower);
+    if (idx !== -1) return idx + field.nameOffset;
+  }
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`Invalid ${field.name} value: ${raw}`);
+  }
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value out of range (${field.min}-${field.max}): ${raw}`);
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field into the set of matching values.
+ * @param {string} expr
+ * @param {Object} field
+ * @returns {Set<number>}
+ */
+function parseField(expr, field) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const [rangePart, stepPart, extra] = part.split('/');
+    if (extra !== undefined || rangePart === '') {
+      throw new Error(`Invalid ${field.name} field: ${expr}`);
+    }
+
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-');
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range: ${rangePart}`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      // 'n/step' means from n to the end of the range
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression
+ * @returns {CronSchedule}
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const trimmed = expression.trim();
+  const expanded = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = expanded.split(/\s+/);
+
+  if (parts.length === 5) {
+    parts.unshift('0');
+  } else if (parts.length !== 6) {
+    throw new Error(`Cron expression must have 5 or 6 fields: ${expression}`);
+  }
+
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts.map(
+    (part, i) => parseField(part, FIELDS[i])
+  );
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    second,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    domRestricted: !parts[3].startsWith('*'),
+    dowRestricted: !parts[5].startsWith('*'),
+  };
+}
+
+/**
+ * Check whether a date's day matches the schedule. When both day-of-month and
+ * day-of-week are restricted, either may match (standard cron semantics).
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function dayMatches(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getDate());
+  const dow = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.domRestricted && schedule.dowRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Compute the next time (strictly after `from`) a cron expression fires, in local time.
+ * @param {string|CronSchedule} expression - Cron expression or a parsed schedule
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ * @throws {Error} If the expression is malformed or never fires
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    if (!schedule.second.has(date.getSeconds())) {
+      date.setSeconds(date.getSeconds() + 1, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression never fires: ${typeof expression === 'string' ? expression : 'schedule'}`);
+}
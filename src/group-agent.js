@@ -0,0 +1,107 @@
+/**
+ * Conversation-level orchestration. Ties GroupQueue, the container runner and
+ * IPC input together so a chat gets one live container that receives
+ * follow-up messages and closes itself once the conversation goes quiet.
+ * @module group-agent
+ */
+
+import { join } from 'node:path';
+import { runContainerAgent } from './container-runner.js';
+import { drainIpcDir, clearCloseSentinel, clearInterruptSentinel } from './ipc-utils.js';
+import { createConfig } from './config.js';
+
+/**
+ * Send a message to a group's agent. If the group has a live container the
+ * prompt is piped into it and the reply arrives through the `onOutput` of the
+ * run that started it; otherwise a new run is queued.
+ *
+ * Queued runs register their process with the queue, so follow-ups reach
+ * them. The agent runner exits on its own once no message has arrived for
+ * `agentIdleTimeout` ms after a result (`options.idleTimeout` overrides it).
+ * Messages that race the container's exit start the next run instead of
+ * being lost.
+ *
+ * @param {import('./group-queue.js').GroupQueue} queue
+ * @param {import('./types.js').GroupConfig} group - Must have a `jid` unless `input.chatJid` is set
+ * @param {import('./types.js').ContainerInput} input
+ * @param {import('./types.js').GroupAgentOptions} [options]
+ * @param {import('./types.js').JsclawConfig} [config]
+ * @returns {Promise<import('./types.js').ContainerOutput & { piped?: boolean }>} The run's final output,
+ *   or `{ piped: true }` with a null result when the prompt went to a live container
+ */
+export async function runGroupAgent(queue, group, input, options = {}, config) {
+  config = config || createConfig();
+  const jid = group.jid || input.chatJid;
+
+  if (queue.sendMessage(jid, input.prompt)) {
+    config.logger.debug(`Piped message to live container`, { group: group.folder });
+    return { type: 'result', status: 'success', result: null, piped: true };
+  }
+
+  return enqueueRun(queue, group, input, options, config);
+}
+
+/**
+ * Queue a container run for a group.
+ * @param {import('./group-queue.js').GroupQueue} queue
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').ContainerInput} input
+ * @param {import('./types.js').GroupAgentOptions} options
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {Promise<import('./types.js').ContainerOutput>}
+ */
+function enqueueRun(queue, group, input, options, config) {
+  const jid = group.jid || input.chatJid;
+  return queue.enqueueTask(
+    jid,
+    options.taskId ?? null,
+    () => runSession(queue, group, input, options, config),
+    { priority: options.priority || 'interactive', retry: options.retry },
+  );
+}
+
+/**
+ * Run one container for as long as the conversation stays active.
+ * @param {import('./group-queue.js').GroupQueue} queue
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').ContainerInput} input
+ * @param {import('./types.js').GroupAgentOptions} options
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {Promise<import('./types.js').ContainerOutput>}
+ */
+async function runSession(queue, group, input, options, config) {
+  const log = config.logger;
+  const jid = group.jid || input.chatJid;
+  const inputDir = join(config.dataDir, 'ipc', group.folder, 'input');
+  // The idle exit happens inside the container, which knows when it's waiting
+  const runConfig = options.idleTimeout === undefined ? config : { ...config, agentIdleTimeout: options.idleTimeout };
+
+  clearCloseSentinel(inputDir);
+  clearInterruptSentinel(inputDir);
+
+  try {
+    return await runContainerAgent(
+      group,
+      input,
+      (proc, containerName) => {
+        queue.registerProcess(jid, proc, containerName, group.folder);
+        options.onProcess?.(proc, containerName);
+      },
+      options.onOutput,
+      runConfig,
+    );
+  } finally {
+    clearCloseSentinel(inputDir);
+    clearInterruptSentinel(inputDir);
+
+    // Follow-ups piped while the container was shutting down
+    const leftovers = drainIpcDir(inputDir)
+      .map(({ data }) => data.text)
+      .filter(Boolean);
+    if (leftovers.length > 0) {
+      log.debug(`Starting a new run for ${leftovers.length} unread message(s)`, { group: group.folder });
+      enqueueRun(queue, group, { ...input, prompt: leftovers.join('\n') }, { ...options, taskId: undefined }, config)
+        .catch((err) => log.error(`Follow-up run failed`, { group: group.folder, error: err.message }));
+    }
+  }
+}
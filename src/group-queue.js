@@ -1,28 +1,94 @@
 /**
  * Per-group concurrency queue with global container limit.
- * Ensures only one container runs per group, with exponential backoff retry.
+ * Ensures only one container runs per group, retries failures with backoff
+ * under a configurable retry policy, and rejects work from groups that are
+ * over their quotas. Free slots go to the highest-priority waiting work,
+ * round-robin across groups. Lifecycle events and getStatus() let dashboards
+ * follow what the queue is doing. With `queueJournal` on, pending items are
+ * persisted and replayed by restore() after a restart. Bursts of message
+ * checks for a group collapse into one run, and follow-up text goes straight
+ * to a live container.
  * @module group-queue
  */
 
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
 import { mkdirSync } from 'node:fs';
 import { join } from 'node:path';
-import { writeIpcFile, writeCloseSentinel } from './ipc-utils.js';
+import { writeIpcFile, writeCloseSentinel, writeInterruptSentinel } from './ipc-utils.js';
 import { createConfig } from './config.js';
+import { UsageLedger } from './usage.js';
+import { listRunningContainers, stopContainer } from './container-runner.js';
 
-const MAX_RETRIES = 5;
-const BASE_RETRY_DELAY = 5000;
+const HANDLER_NAME_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Lower runs first; waiting items move up one class per queueAgingInterval
+const PRIORITIES = {
+  interactive: 0,
+  scheduled: 1,
+  background: 2,
+};
+
+// Window for maxRuns when the quota doesn't set one
+const DEFAULT_QUOTA_WINDOW = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Thrown (as a rejection) when a group is over one of its quotas.
+ */
+export class QuotaExceededError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ groupJid: string, quota: 'runs'|'queued'|'tokens'|'cost', limit: number, current: number }} details
+   */
+  constructor(message, { groupJid, quota, limit, current }) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.groupJid = groupJid;
+    this.quota = quota;
+    this.limit = limit;
+    this.current = current;
+  }
+}
+
+/**
+ * Backoff before the next attempt: exponential, capped, with +/- jitter.
+ * @param {import('./types.js').RetryPolicy} policy
+ * @param {number} attempt - Attempts already made, minus one
+ * @returns {number} ms
+ */
+function retryDelay(policy, attempt) {
+  const base = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt));
+  const spread = base * policy.jitter * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(base + spread));
+}
 
 /**
  * @typedef {Object} QueueItem
  * @property {Function} resolve
  * @property {Function} reject
- * @property {Function} [fn] - Custom processing function for tasks
+ * @property {Function} [fn] - Custom processing function for tasks (not journaled)
+ * @property {import('./types.js').TaskDescriptor} [descriptor] - Serializable task, run by a registered handler
+ * @property {string} [id] - Journal entry ID
  * @property {string} [taskId] - Task identifier
+ * @property {'interactive'|'scheduled'|'background'} priority - Priority class
+ * @property {number} enqueuedAt - When the item was queued (ms since epoch)
+ * @property {number} readyAt - When the item last joined the queue, first time or after a backoff
+ * @property {Partial<import('./types.js').RetryPolicy>|false} [retry] - Overrides for the queue's retry policy; false disables retries
+ * @property {number} [attempt] - Failed attempts so far
+ * @property {ReturnType<typeof setTimeout>} [retryTimer] - Pending retry, while the item waits out its backoff
+ * @property {number} [retryAt] - When the pending retry rejoins the queue
+ * @property {ReturnType<typeof setTimeout>} [debounceTimer] - Pending admission of a debounced message check
  */
 
-export class GroupQueue {
+/**
+ * Emits `enqueue`, `start`, `retry`, `complete`, `fail`, `drop`,
+ * `coalesce` and `interrupt` (see QueueEvent in types.js).
+ */
+export class GroupQueue extends EventEmitter {
   /** @param {import('./types.js').JsclawConfig} [config] */
   constructor(config) {
+    super();
     this._config = config || createConfig();
     this._log = this._config.logger;
 
@@ -32,8 +98,31 @@ export class GroupQueue {
     /** @type {number} */
     this._activeCount = 0;
 
+    /** @type {number} Incremented each time a group is given a slot */
+    this._serveCounter = 0;
+
     /** @type {((groupJid: string) => Promise<boolean>)|null} */
     this._processMessagesFn = null;
+
+    /** @type {((groupJid: string, err: QuotaExceededError) => void)|null} */
+    this._overBudgetFn = null;
+
+    /** @type {((failure: import('./types.js').DeadLetter) => void)|null} */
+    this._deadLetterFn = null;
+
+    /** @type {Map<string, (payload: *, context: { groupJid: string, taskId: string|null }) => Promise<*>>} */
+    this._handlers = new Map();
+
+    /** @type {Map<string, Promise<*>>} Outcome of each queued, running or retrying task, by taskId */
+    this._pending = new Map();
+
+    /** @type {Set<Promise<void>>} Journal writes not yet settled */
+    this._journalWrites = new Set();
+
+    /** @type {Promise<Object>|null} Set by the first restore() */
+    this._restored = null;
+
+    this._usage = new UsageLedger(this._config);
   }
 
   /**
@@ -44,6 +133,59 @@ export class GroupQueue {
     this._processMessagesFn = fn;
   }
 
+  /**
+   * Set a hook called whenever work is rejected by a quota, e.g. to tell the chat.
+   * @param {(groupJid: string, err: QuotaExceededError) => void|Promise<void>} fn
+   */
+  setOverBudgetFn(fn) {
+    this._overBudgetFn = fn;
+  }
+
+  /**
+   * Set a hook called with every item that fails for good, either because its
+   * retries ran out or because the error isn't retryable.
+   * @param {(failure: import('./types.js').DeadLetter) => void|Promise<void>} fn
+   */
+  setDeadLetterFn(fn) {
+    this._deadLetterFn = fn;
+  }
+
+  /**
+   * Register a named handler for task descriptors. Register every handler
+   * before calling restore() so journaled items can be replayed.
+   * @param {string} name
+   * @param {(payload: *, context: { groupJid: string, taskId: string|null }) => Promise<*>} fn
+   * @returns {this}
+   * @throws {Error} If the name is invalid or taken
+   */
+  registerHandler(name, fn) {
+    if (!HANDLER_NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid handler name: ${name}`);
+    }
+    if (this._handlers.has(name)) {
+      throw new Error(`Handler already registered: ${name}`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Handler ${name} must be a function`);
+    }
+    this._handlers.set(name, fn);
+    return this;
+  }
+
+  /**
+   * Emit a lifecycle event. Listener errors are logged, never thrown into the queue.
+   * @param {string} event
+   * @param {import('./types.js').QueueEvent} payload
+   * @private
+   */
+  _emit(event, payload) {
+    try {
+      this.emit(event, { ...payload, timestamp: Date.now() });
+    } catch (err) {
+      this._log.error(`Queue '${event}' listener error`, { error: err.message });
+    }
+  }
+
   /**
    * Get or create state for a group.
    * @param {string} jid
@@ -58,6 +200,12 @@ export class GroupQueue {
         groupFolder: null,
         processing: false,
         queue: [],
+        runTimestamps: [],
+        lastServed: 0,
+        retrying: new Set(),
+        activeItem: null,
+        startedAt: null,
+        pendingCheck: null,
       });
     }
     return this._groups.get(jid);
@@ -65,31 +213,361 @@ export class GroupQueue {
 
   /**
    * Enqueue a message check for a group.
+   *
+   * With `options.text` and a live container for the group, the text is piped
+   * to the container instead and no run is queued. Otherwise, a check that is
+   * still waiting (or debouncing) for the group absorbs this one, and both
+   * calls share its outcome. With a `debounce` window, the first check of a
+   * burst waits that long before joining the queue.
    * @param {string} groupJid
-   * @returns {Promise<boolean>}
+   * @param {import('./types.js').MessageCheckOptions} [options] - Priority defaults to 'interactive'
+   * @returns {Promise<boolean>} Rejects with QuotaExceededError if the group is over a quota
    */
-  enqueueMessageCheck(groupJid) {
-    return new Promise((resolve, reject) => {
-      const group = this._getGroup(groupJid);
-      group.queue.push({ resolve, reject });
-      this._drain();
+  enqueueMessageCheck(groupJid, options = {}) {
+    const group = this._getGroup(groupJid);
+    const priority = options.priority || 'interactive';
+
+    // A live container takes follow-up text directly
+    if (options.text && this.sendMessage(groupJid, options.text)) {
+      this._emit('coalesce', { groupJid, taskId: null, priority, reason: 'piped' });
+      return Promise.resolve(true);
+    }
+
+    // The waiting check will pick up this message too
+    if (group.pendingCheck) {
+      const { item, promise } = group.pendingCheck;
+      if (PRIORITIES[priority] < PRIORITIES[item.priority]) item.priority = priority;
+      this._emit('coalesce', { groupJid, taskId: null, priority: item.priority, reason: 'merged' });
+      return promise;
+    }
+
+    const item = { priority, retry: options.retry };
+    const promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = (err) => {
+        if (group.pendingCheck?.item === item) group.pendingCheck = null;
+        reject(err);
+      };
     });
+    group.pendingCheck = { item, promise };
+
+    const debounce = options.debounce ?? this._config.messageDebounce;
+    if (debounce > 0) {
+      item.debounceTimer = setTimeout(() => {
+        item.debounceTimer = undefined;
+        this._admit(groupJid, item).catch(item.reject);
+      }, debounce);
+    } else {
+      this._admit(groupJid, item).catch(item.reject);
+    }
+    return promise;
   }
 
   /**
-   * Enqueue a task with a custom processing function.
+   * Enqueue a task, either as a function or as a descriptor naming a
+   * registered handler. Only descriptors are journaled. While a task is
+   * queued, running or retrying, enqueueing the same taskId again returns the
+   * existing task's promise instead of adding a duplicate.
    * @param {string} groupJid
    * @param {string} taskId
-   * @param {() => Promise<boolean>} fn
-   * @returns {Promise<boolean>}
+   * @param {(() => Promise<*>)|import('./types.js').TaskDescriptor} task
+   * @param {import('./types.js').EnqueueOptions} [options] - Priority defaults to 'scheduled'
+   * @returns {Promise<*>} Rejects with QuotaExceededError if the group is over a quota
+   */
+  enqueueTask(groupJid, taskId, task, options = {}) {
+    if (taskId && this._pending.has(taskId)) {
+      this._log.debug(`Task already queued: ${taskId}`, { groupJid });
+      return this._pending.get(taskId);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const item = { resolve, reject, taskId, priority: options.priority || 'scheduled', retry: options.retry };
+      if (typeof task === 'function') {
+        item.fn = task;
+      } else if (!this._handlers.has(task?.handler)) {
+        reject(new Error(`No handler registered for task: ${task?.handler}`));
+        return;
+      } else {
+        item.descriptor = { handler: task.handler, payload: task.payload };
+      }
+      this._admit(groupJid, item).catch(reject);
+    });
+
+    this._track(taskId, promise);
+    return promise;
+  }
+
+  /**
+   * Remember a task's promise for deduplication until it settles.
+   * @param {string|undefined} taskId
+   * @param {Promise<*>} promise
+   * @private
+   */
+  _track(taskId, promise) {
+    if (!taskId) return;
+    this._pending.set(taskId, promise);
+    const clear = () => {
+      if (this._pending.get(taskId) === promise) this._pending.delete(taskId);
+    };
+    promise.then(clear, clear);
+  }
+
+  /**
+   * Persist an item's current state, if journaling is on and the item is serializable.
+   * @param {import('./types.js').GroupState} group
+   * @param {QueueItem} item
+   * @private
+   */
+  _journalSave(group, item) {
+    if (!this._config.queueJournal || item.fn) return;
+    if (!item.id) item.id = randomUUID();
+
+    // Predicates can't be serialized; replayed items use the queue's default
+    let retry = item.retry;
+    if (retry) {
+      const { retryable, ...rest } = retry;
+      retry = rest;
+    }
+
+    const running = group.activeItem === item && !group.retrying.has(item);
+    const entry = {
+      id: item.id,
+      groupJid: group.jid,
+      taskId: item.taskId || null,
+      handler: item.descriptor?.handler || null,
+      payload: item.descriptor?.payload,
+      priority: item.priority,
+      retry,
+      attempt: item.attempt || 0,
+      enqueuedAt: item.enqueuedAt,
+      running,
+      containerName: running ? group.containerName : null,
+    };
+    this._journalWrite(() => this._config.storage.saveQueueItem(entry));
+  }
+
+  /**
+   * Remove a finished item from the journal.
+   * @param {QueueItem} item
+   * @private
+   */
+  _journalDelete(item) {
+    if (!item.id) return;
+    this._journalWrite(() => this._config.storage.deleteQueueItem(item.id));
+  }
+
+  /**
+   * Run a journal write without holding up the queue.
+   * @param {() => void|Promise<void>} op
+   * @private
+   */
+  _journalWrite(op) {
+    const write = Promise.resolve()
+      .then(op)
+      .catch((err) => {
+        this._log.warn(`Failed to write queue journal`, { error: err.message });
+      })
+      .finally(() => this._journalWrites.delete(write));
+    this._journalWrites.add(write);
+  }
+
+  /**
+   * Replay journaled items after a restart. Containers that were running
+   * journaled items when the host died can't be reattached, so they are
+   * stopped and their items run again. Replayed items skip quota checks,
+   * since they were admitted before the restart. Only the first call replays;
+   * later calls return the same summary.
+   * @returns {Promise<{ replayed: number, dropped: number, stoppedContainers: string[] }>}
+   */
+  restore() {
+    if (!this._restored) this._restored = this._restore();
+    return this._restored;
+  }
+
+  /**
+   * @returns {Promise<{ replayed: number, dropped: number, stoppedContainers: string[] }>}
+   * @private
+   */
+  async _restore() {
+    const summary = { replayed: 0, dropped: 0, stoppedContainers: [] };
+    if (!this._config.queueJournal) return summary;
+
+    // Items enqueued before restore() may still be on their way to the journal
+    await Promise.all(this._journalWrites);
+    const entries = await this._config.storage.getQueueItems();
+    entries.sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+
+    const stale = entries.filter((e) => e.containerName).map((e) => e.containerName);
+    if (stale.length > 0) {
+      try {
+        const running = new Set(await listRunningContainers(this._config));
+        for (const name of stale) {
+          if (!running.has(name)) continue;
+          this._log.warn(`Stopping orphaned container: ${name}`);
+          stopContainer(name, this._config);
+          summary.stoppedContainers.push(name);
+        }
+      } catch (err) {
+        this._log.error(`Failed to reconcile orphaned containers`, { error: err.message });
+      }
+    }
+
+    // Entries for items this process already holds are not replayed again
+    const live = new Set();
+    for (const group of this._groups.values()) {
+      for (const item of [...group.queue, ...group.retrying, group.activeItem]) {
+        if (item?.id) live.add(item.id);
+      }
+    }
+
+    const now = Date.now();
+    for (const entry of entries) {
+      if (live.has(entry.id)) continue;
+      if (entry.handler && !this._handlers.has(entry.handler)) {
+        this._log.warn(`Dropping journaled task with unknown handler: ${entry.handler}`, { taskId: entry.taskId });
+        this._journalWrite(() => this._config.storage.deleteQueueItem(entry.id));
+        this._emit('drop', {
+          groupJid: entry.groupJid,
+          taskId: entry.taskId || null,
+          priority: entry.priority,
+          reason: 'unknown_handler',
+          error: new Error(`No handler registered for task: ${entry.handler}`),
+        });
+        summary.dropped++;
+        continue;
+      }
+      if (entry.taskId && this._pending.has(entry.taskId)) {
+        this._journalWrite(() => this._config.storage.deleteQueueItem(entry.id));
+        continue;
+      }
+
+      const group = this._getGroup(entry.groupJid);
+      const item = {
+        id: entry.id,
+        taskId: entry.taskId || undefined,
+        priority: entry.priority in PRIORITIES ? entry.priority : 'scheduled',
+        retry: entry.retry,
+        attempt: entry.attempt || 0,
+        enqueuedAt: entry.enqueuedAt || now,
+        readyAt: now,
+        ...(entry.handler && { descriptor: { handler: entry.handler, payload: entry.payload } }),
+      };
+      // Nobody awaits a replayed item; its outcome is visible through events
+      const promise = new Promise((resolve, reject) => {
+        item.resolve = resolve;
+        item.reject = reject;
+      });
+      promise.catch(() => {});
+      this._track(item.taskId, promise);
+
+      group.queue.push(item);
+      this._journalSave(group, item);
+      this._emit('enqueue', { groupJid: group.jid, taskId: item.taskId || null, priority: item.priority });
+      summary.replayed++;
+    }
+
+    this._log.info(`Queue restored`, summary);
+    this._drain();
+    return summary;
+  }
+
+  /**
+   * Resolve the quota for a group: `config.quotas` overridden by the registered group's `quotas`.
+   * @param {string} groupJid
+   * @returns {Promise<{ quota: import('./types.js').GroupQuota, groupFolder: string|null }>}
+   * @private
    */
-  enqueueTask(groupJid, taskId, fn) {
-    return new Promise((resolve, reject) => {
+  async _getQuota(groupJid) {
+    let registered;
+    try {
+      const groups = await this._config.storage.getRegisteredGroups();
+      registered = groups[groupJid];
+    } catch (err) {
+      this._log.warn(`Failed to load group quotas`, { groupJid, error: err.message });
+    }
+    return {
+      quota: { ...this._config.quotas, ...registered?.quotas },
+      groupFolder: registered?.folder || null,
+    };
+  }
+
+  /**
+   * Check a group's quotas and queue the item if it is within them.
+   * @param {string} groupJid
+   * @param {QueueItem} item
+   * @throws {QuotaExceededError}
+   * @throws {Error} If the priority class is unknown
+   * @private
+   */
+  async _admit(groupJid, item) {
+    if (!(item.priority in PRIORITIES)) {
+      throw new Error(`Unknown priority: ${item.priority} (expected interactive, scheduled or background)`);
+    }
+
+    const { quota, groupFolder } = await this._getQuota(groupJid);
+
+    try {
+      if (quota.dailyTokens || quota.dailyCostUsd) {
+        const filter = groupFolder ? { groupFolder } : { chatJid: groupJid };
+        const spent = await this._usage.getDailyTotals(filter);
+        const tokens = spent.inputTokens + spent.outputTokens + spent.cacheReadTokens + spent.cacheCreationTokens;
+
+        if (quota.dailyTokens && tokens >= quota.dailyTokens) {
+          throw new QuotaExceededError(
+            `Daily token budget exceeded for ${groupJid}: ${tokens} of ${quota.dailyTokens} tokens used today`,
+            { groupJid, quota: 'tokens', limit: quota.dailyTokens, current: tokens },
+          );
+        }
+        if (quota.dailyCostUsd && spent.costUsd >= quota.dailyCostUsd) {
+          throw new QuotaExceededError(
+            `Daily cost budget exceeded for ${groupJid}: $${spent.costUsd.toFixed(2)} of $${quota.dailyCostUsd} used today`,
+            { groupJid, quota: 'cost', limit: quota.dailyCostUsd, current: spent.costUsd },
+          );
+        }
+      }
+
+      // Nothing below awaits, so concurrent enqueues can't both slip under a limit
       const group = this._getGroup(groupJid);
-      // Tasks go to the front of the queue (priority)
-      group.queue.unshift({ resolve, reject, fn, taskId });
+
+      if (quota.maxQueued && group.queue.length >= quota.maxQueued) {
+        throw new QuotaExceededError(
+          `Queue full for ${groupJid}: ${group.queue.length} items waiting (limit ${quota.maxQueued})`,
+          { groupJid, quota: 'queued', limit: quota.maxQueued, current: group.queue.length },
+        );
+      }
+
+      if (quota.maxRuns) {
+        const windowMs = quota.windowMs || DEFAULT_QUOTA_WINDOW;
+        const cutoff = Date.now() - windowMs;
+        group.runTimestamps = group.runTimestamps.filter((t) => t > cutoff);
+        if (group.runTimestamps.length >= quota.maxRuns) {
+          throw new QuotaExceededError(
+            `Run quota exceeded for ${groupJid}: ${group.runTimestamps.length} runs in the last ${Math.round(windowMs / 1000)}s (limit ${quota.maxRuns})`,
+            { groupJid, quota: 'runs', limit: quota.maxRuns, current: group.runTimestamps.length },
+          );
+        }
+        group.runTimestamps.push(Date.now());
+      }
+
+      item.enqueuedAt = item.readyAt = Date.now();
+      group.queue.push(item);
+      this._journalSave(group, item);
+      this._emit('enqueue', { groupJid, taskId: item.taskId || null, priority: item.priority });
       this._drain();
-    });
+    } catch (err) {
+      if (err instanceof QuotaExceededError) {
+        this._log.warn(`Quota exceeded`, { groupJid, quota: err.quota, limit: err.limit, current: err.current });
+        this._emit('drop', { groupJid, taskId: item.taskId || null, priority: item.priority, reason: 'quota', error: err });
+        if (this._overBudgetFn) {
+          try {
+            await this._overBudgetFn(groupJid, err);
+          } catch (hookErr) {
+            this._log.error(`Over-budget hook error`, { error: hookErr.message });
+          }
+        }
+      }
+      throw err;
+    }
   }
 
   /**
@@ -104,6 +582,8 @@ export class GroupQueue {
     group.process = proc;
     group.containerName = containerName;
     group.groupFolder = groupFolder;
+    // Recorded so restore() can stop the container if the host dies mid-run
+    if (group.activeItem) this._journalSave(group, group.activeItem);
   }
 
   /**
@@ -135,67 +615,272 @@ export class GroupQueue {
   }
 
   /**
-   * Try to process the next item in any group's queue.
+   * Make a group's live container abort its current query. The agent replies
+   * with what it has so far and moves on to any messages piped meanwhile.
+   * @param {string} groupJid
+   * @returns {boolean} Whether a live container was signalled
+   */
+  interrupt(groupJid) {
+    const group = this._getGroup(groupJid);
+    if (!group.process || !group.groupFolder) return false;
+
+    const inputDir = join(this._config.dataDir, 'ipc', group.groupFolder, 'input');
+    writeInterruptSentinel(inputDir);
+    this._emit('interrupt', {
+      groupJid,
+      taskId: group.activeItem?.taskId ?? null,
+      priority: group.activeItem?.priority,
+    });
+    return true;
+  }
+
+  /**
+   * Priority rank of a waiting item, raised one class per `queueAgingInterval`
+   * waited so lower classes can't starve.
+   * @param {QueueItem} item
+   * @param {number} now
+   * @returns {number}
+   * @private
+   */
+  _effectiveRank(item, now) {
+    const aging = this._config.queueAgingInterval;
+    const boost = aging > 0 ? Math.floor((now - item.enqueuedAt) / aging) : 0;
+    return Math.max(0, PRIORITIES[item.priority] - boost);
+  }
+
+  /**
+   * Start work until every free slot is used. Each slot goes to the waiting
+   * item with the best effective rank; ties go to the group served least
+   * recently, so busy groups take turns.
    * @private
    */
-  async _drain() {
-    if (this._activeCount >= this._config.maxConcurrentContainers) return;
+  _drain() {
+    const now = Date.now();
 
-    // Find a group with queued work that isn't currently processing
-    for (const [, group] of this._groups) {
-      if (group.processing || group.queue.length === 0) continue;
-      if (this._activeCount >= this._config.maxConcurrentContainers) break;
+    while (this._activeCount < this._config.maxConcurrentContainers) {
+      let best = null;
+
+      for (const group of this._groups.values()) {
+        if (group.processing || group.queue.length === 0) continue;
 
+        // Best item within the group; the queue is in arrival order, so ties stay FIFO
+        let index = 0;
+        let rank = this._effectiveRank(group.queue[0], now);
+        for (let i = 1; i < group.queue.length && rank > 0; i++) {
+          const r = this._effectiveRank(group.queue[i], now);
+          if (r < rank) {
+            rank = r;
+            index = i;
+          }
+        }
+
+        if (!best || rank < best.rank || (rank === best.rank && group.lastServed < best.group.lastServed)) {
+          best = { group, index, rank };
+        }
+      }
+
+      if (!best) break;
+
+      const { group, index } = best;
       group.processing = true;
+      group.lastServed = ++this._serveCounter;
       this._activeCount++;
 
-      const item = group.queue.shift();
+      const [item] = group.queue.splice(index, 1);
+      // Messages arriving from now on need another check
+      if (group.pendingCheck?.item === item) group.pendingCheck = null;
+      group.activeItem = item;
+      group.startedAt = now;
+      this._emit('start', {
+        groupJid: group.jid,
+        taskId: item.taskId || null,
+        priority: item.priority,
+        attempt: (item.attempt || 0) + 1,
+        waitMs: now - item.readyAt,
+      });
+      this._journalSave(group, item);
       this._processItem(group, item);
-      break; // Process one at a time, _drain is called recursively
     }
   }
 
   /**
-   * Process a single queue item with retry logic.
+   * Process a single queue item. The slot is released as soon as the attempt
+   * ends; a failed item waits out its backoff outside the pool and then
+   * rejoins its group's queue.
    * @param {import('./types.js').GroupState} group
    * @param {QueueItem} item
-   * @param {number} [attempt]
    * @private
    */
-  async _processItem(group, item, attempt = 0) {
+  async _processItem(group, item) {
     try {
       let result;
       if (item.fn) {
         result = await item.fn();
+      } else if (item.descriptor) {
+        const handler = this._handlers.get(item.descriptor.handler);
+        if (!handler) {
+          const err = new Error(`No handler registered for task: ${item.descriptor.handler}`);
+          err.retryable = false;
+          throw err;
+        }
+        result = await handler(item.descriptor.payload, { groupJid: group.jid, taskId: item.taskId || null });
       } else if (this._processMessagesFn) {
         result = await this._processMessagesFn(group.jid);
       } else {
         throw new Error('No processing function configured');
       }
 
+      this._emit('complete', {
+        groupJid: group.jid,
+        taskId: item.taskId || null,
+        priority: item.priority,
+        attempt: (item.attempt || 0) + 1,
+        durationMs: Date.now() - group.startedAt,
+      });
+      this._journalDelete(item);
       item.resolve(result);
     } catch (err) {
-      if (attempt < MAX_RETRIES) {
-        const delay = BASE_RETRY_DELAY * Math.pow(2, attempt);
-        this._log.warn(`Retrying group ${group.jid} in ${delay}ms (attempt ${attempt + 1})`, {
-          error: err.message,
-        });
-        setTimeout(() => this._processItem(group, item, attempt + 1), delay);
-        return; // Don't release the slot yet
-      }
-      this._log.error(`Failed after ${MAX_RETRIES} retries for group ${group.jid}`, {
+      await this._handleFailure(group, item, err);
+    } finally {
+      group.activeItem = null;
+      group.startedAt = null;
+      group.processing = false;
+      group.process = null;
+      group.containerName = null;
+      this._activeCount--;
+      this._drain(); // Check if more work can run
+    }
+  }
+
+  /**
+   * Schedule a retry for a failed item, or dead-letter and reject it.
+   * @param {import('./types.js').GroupState} group
+   * @param {QueueItem} item
+   * @param {Error} err
+   * @private
+   */
+  async _handleFailure(group, item, err) {
+    const policy = item.retry === false
+      ? { ...this._config.retryPolicy, maxRetries: 0 }
+      : { ...this._config.retryPolicy, ...item.retry };
+    const attempt = item.attempt || 0;
+
+    let retryable = false;
+    try {
+      retryable = policy.retryable ? !!policy.retryable(err, attempt + 1) : err?.retryable !== false;
+    } catch (predicateErr) {
+      this._log.error(`Retry predicate error`, { error: predicateErr.message });
+    }
+
+    if (retryable && attempt < policy.maxRetries) {
+      const delay = retryDelay(policy, attempt);
+      this._log.warn(`Retrying group ${group.jid} in ${delay}ms (attempt ${attempt + 2})`, {
         error: err.message,
+        taskId: item.taskId,
       });
-      item.reject(err);
-    } finally {
-      if (attempt >= MAX_RETRIES || !item.fn) {
-        group.processing = false;
-        group.process = null;
-        group.containerName = null;
-        this._activeCount--;
-        this._drain(); // Check if more work can run
+      item.attempt = attempt + 1;
+      item.retryAt = Date.now() + delay;
+      group.retrying.add(item);
+      this._journalSave(group, item);
+      this._emit('retry', {
+        groupJid: group.jid,
+        taskId: item.taskId || null,
+        priority: item.priority,
+        attempt: item.attempt + 1,
+        delay,
+        error: err,
+      });
+      item.retryTimer = setTimeout(() => {
+        group.retrying.delete(item);
+        item.retryTimer = undefined;
+        item.retryAt = undefined;
+        item.readyAt = Date.now();
+        group.queue.push(item);
+        this._drain();
+      }, delay);
+      return;
+    }
+
+    const reason = retryable ? 'exhausted' : 'not_retryable';
+    this._log.error(
+      reason === 'exhausted'
+        ? `Failed after ${attempt} retries for group ${group.jid}`
+        : `Non-retryable failure for group ${group.jid}`,
+      { error: err.message, taskId: item.taskId },
+    );
+
+    this._emit('fail', {
+      groupJid: group.jid,
+      taskId: item.taskId || null,
+      priority: item.priority,
+      attempt: attempt + 1,
+      reason,
+      error: err,
+    });
+    this._journalDelete(item);
+
+    if (this._deadLetterFn) {
+      try {
+        await this._deadLetterFn({
+          groupJid: group.jid,
+          taskId: item.taskId || null,
+          priority: item.priority,
+          attempts: attempt + 1,
+          reason,
+          error: err,
+        });
+      } catch (hookErr) {
+        this._log.error(`Dead-letter hook error`, { error: hookErr.message });
       }
     }
+    item.reject(err);
+  }
+
+  /**
+   * Snapshot of the queue for dashboards and health checks.
+   * @returns {import('./types.js').QueueStatus}
+   */
+  getStatus() {
+    const now = Date.now();
+    const groups = [];
+    let queued = 0;
+    let retrying = 0;
+
+    for (const group of this._groups.values()) {
+      queued += group.queue.length;
+      retrying += group.retrying.size;
+      const oldest = group.queue.reduce((min, item) => Math.min(min, item.readyAt), Infinity);
+      const active = group.activeItem;
+
+      groups.push({
+        jid: group.jid,
+        groupFolder: group.groupFolder,
+        processing: group.processing,
+        containerName: group.containerName,
+        queueLength: group.queue.length,
+        oldestWaitMs: group.queue.length > 0 ? now - oldest : 0,
+        current: active && {
+          taskId: active.taskId || null,
+          priority: active.priority,
+          attempt: (active.attempt || 0) + 1,
+          startedAt: new Date(group.startedAt).toISOString(),
+        },
+        retrying: [...group.retrying].map((item) => ({
+          taskId: item.taskId || null,
+          priority: item.priority,
+          nextAttempt: item.attempt + 1,
+          retryAt: new Date(item.retryAt).toISOString(),
+        })),
+      });
+    }
+
+    return {
+      active: this._activeCount,
+      maxConcurrent: this._config.maxConcurrentContainers,
+      queued,
+      retrying,
+      groups,
+    };
   }
 
   /**
@@ -215,6 +900,26 @@ export class GroupQueue {
   async shutdown(gracePeriodMs = 10000) {
     this._log.info(`Shutting down queue, ${this._activeCount} active containers`);
 
+    // Items waiting out a backoff won't get another attempt here; with
+    // queueJournal on they stay journaled and are replayed by restore()
+    for (const [, group] of this._groups) {
+      for (const item of group.retrying) {
+        clearTimeout(item.retryTimer);
+        const err = new Error('Queue shut down before retry');
+        this._emit('drop', { groupJid: group.jid, taskId: item.taskId || null, priority: item.priority, reason: 'shutdown', error: err });
+        item.reject(err);
+      }
+      group.retrying.clear();
+
+      const debouncing = group.pendingCheck?.item;
+      if (debouncing?.debounceTimer) {
+        clearTimeout(debouncing.debounceTimer);
+        const err = new Error('Queue shut down before message check');
+        this._emit('drop', { groupJid: group.jid, taskId: null, priority: debouncing.priority, reason: 'shutdown', error: err });
+        debouncing.reject(err);
+      }
+    }
+
     // Signal all containers to close
     for (const [, group] of this._groups) {
       if (group.process && group.groupFolder) {
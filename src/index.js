@@ -10,25 +10,88 @@ export { createConfig, defaultConfig } from './config.js';
 export {
   runContainerAgent,
   buildVolumeMounts,
+  resolveVolumeMounts,
   buildContainerArgs,
+  buildResourceArgs,
+  resolveContainerLimits,
   parseContainerOutput,
   writeTasksSnapshot,
+  listRunningContainers,
+  stopContainer,
 } from './container-runner.js';
 
+// Conversations
+export { runGroupAgent } from './group-agent.js';
+
 // IPC
 export { startIpcWatcher } from './ipc.js';
-export { writeIpcFile, readIpcFile, drainIpcDir, writeCloseSentinel } from './ipc-utils.js';
+export {
+  writeIpcFile,
+  readIpcFile,
+  drainIpcDir,
+  writeIpcResponse,
+  writeCloseSentinel,
+  clearCloseSentinel,
+  writeInterruptSentinel,
+  clearInterruptSentinel,
+  watchIpcTree,
+} from './ipc-utils.js';
+export {
+  createIpcRun,
+  loadIpcRun,
+  signIpcEnvelope,
+  verifyIpcEnvelope,
+  createIpcVerifier,
+  markIpcDrained,
+} from './ipc-auth.js';
 
 // Queue
-export { GroupQueue } from './group-queue.js';
+export { GroupQueue, QuotaExceededError } from './group-queue.js';
+
+// Scheduler
+export { TaskScheduler, TaskRejectedError, computeNextRun } from './task-scheduler.js';
+export { parseCron, nextCronRun } from './cron.js';
+
+// Host tools
+export { ToolRegistry } from './tools.js';
+
+// Usage
+export { UsageLedger } from './usage.js';
+
+// Tool policy
+export { resolveToolPolicy, validateToolPolicy } from './tool-policy.js';
+
+// Storage
+export { createFileStorage, createMemoryStorage } from './storage.js';
 
 // Security
+export { SDK_CREDENTIALS, resolveSecrets, resolveGroupSecrets, partitionSecrets, loadSecretsFile } from './secrets.js';
 export {
+  MountValidationError,
+  normalizeMount,
+  checkContainerPath,
   validateMount,
   validateAdditionalMounts,
+  validateMountAllowlist,
+  parseMountAllowlist,
+  matchesMountPattern,
   loadMountAllowlist,
   generateAllowlistTemplate,
 } from './mount-security.js';
 
+// Capabilities
+export {
+  CAPABILITIES,
+  ROLES,
+  UNREGISTERED_ROLE,
+  groupRole,
+  resolveCapabilities,
+  hasCapability,
+  checkSendTo,
+} from './capabilities.js';
+
+// Audit
+export { AuditLog } from './audit.js';
+
 // Logger
 export { createLogger } from './logger.js';
@@ -0,0 +1,218 @@
+/**
+ * Authenticated IPC. Every container run gets a fresh run ID and secret key;
+ * files the container writes to `messages` and `tasks` are envelopes carrying
+ * the run ID, the writing process, a sequence number and an HMAC over the
+ * payload. The host rejects files that are unsigned, tampered with, replayed
+ * or from an earlier run. The run just replaced stays valid for each
+ * directory until the watcher has drained it once, so files it left behind
+ * are still processed. The key authenticates the container run, not the
+ * process inside it: the agent's tools can read it, so whatever the agent
+ * writes is still bound by the host's capability checks.
+ *
+ * Run state lives in `<dataDir>/ipc-runs/<group>.json`, outside the IPC tree
+ * containers can see. container/agent-runner.js and container/mcp-server.js
+ * sign with their own copy of `signIpcEnvelope`.
+ * @module ipc-auth
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Path of a group's run state file.
+ * @param {string} groupFolder
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {string}
+ */
+function runStatePath(groupFolder, config) {
+  return join(config.dataDir, 'ipc-runs', `${groupFolder}.json`);
+}
+
+/**
+ * Atomically write a group's run state, readable only by the host user.
+ * @param {string} groupFolder
+ * @param {import('./types.js').IpcRunState} state
+ * @param {import('./types.js').JsclawConfig} config
+ */
+function saveRunState(groupFolder, state, config) {
+  const path = runStatePath(groupFolder, config);
+  mkdirSync(join(config.dataDir, 'ipc-runs'), { recursive: true, mode: 0o700 });
+  const tmpPath = `${path}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(state), { mode: 0o600 });
+  renameSync(tmpPath, path);
+}
+
+/**
+ * The MAC over an envelope's fields. The channel is included so a file
+ * can't be moved from `messages` to `tasks`.
+ * @param {string} key - Hex secret
+ * @param {{ runId: string, writer: string, seq: number, channel: string, payload: string }} fields
+ * @returns {string} Hex digest
+ */
+function computeMac(key, { runId, writer, seq, channel, payload }) {
+  return createHmac('sha256', Buffer.from(key, 'hex'))
+    .update([ENVELOPE_VERSION, runId, writer, seq, channel, payload].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Start a new run for a group, replacing the previous one. Files signed for
+ * the previous run are accepted until each inbound directory has been
+ * drained once (see markIpcDrained); any run before that is rejected.
+ * @param {string} groupFolder
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {import('./types.js').IpcRunCredentials} Handed to the container in the stdin payload
+ */
+export function createIpcRun(groupFolder, config) {
+  const runId = randomUUID();
+  const key = randomBytes(32).toString('hex');
+  const current = loadIpcRun(groupFolder, config);
+  saveRunState(groupFolder, {
+    runId,
+    key,
+    startedAt: new Date().toISOString(),
+    seen: {},
+    ...(current && {
+      previous: { runId: current.runId, key: current.key, seen: current.seen, pending: ['messages', 'tasks'] },
+    }),
+  }, config);
+  return { runId, key };
+}
+
+/**
+ * Record that a drain of one of a group's inbound directories has finished.
+ * Once a drain that started after the current run did so has covered every
+ * directory, the previous run's files are rejected too.
+ * @param {string} groupFolder
+ * @param {'messages'|'tasks'} channel
+ * @param {string} drainStartedAt - ISO time the drain listed the directory
+ * @param {import('./types.js').JsclawConfig} config
+ */
+export function markIpcDrained(groupFolder, channel, drainStartedAt, config) {
+  const run = loadIpcRun(groupFolder, config);
+  if (!run?.previous?.pending.includes(channel) || drainStartedAt < run.startedAt) return;
+  run.previous.pending = run.previous.pending.filter((c) => c !== channel);
+  if (run.previous.pending.length === 0) delete run.previous;
+  saveRunState(groupFolder, run, config);
+}
+
+/**
+ * Load a group's current run state.
+ * @param {string} groupFolder
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {import('./types.js').IpcRunState|null} null if the group never ran a container
+ */
+export function loadIpcRun(groupFolder, config) {
+  try {
+    return JSON.parse(readFileSync(runStatePath(groupFolder, config), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wrap a payload in a signed envelope.
+ * @param {Object} payload
+ * @param {Object} options
+ * @param {string} options.runId
+ * @param {string} options.key - Hex secret
+ * @param {string} options.writer - Unique per writing process
+ * @param {number} options.seq - Increases with every file the writer signs
+ * @param {'messages'|'tasks'} options.channel - Directory the file is written to
+ * @returns {import('./types.js').IpcEnvelope}
+ */
+export function signIpcEnvelope(payload, { runId, key, writer, seq, channel }) {
+  const fields = { runId, writer, seq, channel, payload: JSON.stringify(payload) };
+  return { v: ENVELOPE_VERSION, ...fields, mac: computeMac(key, fields) };
+}
+
+/**
+ * Check an envelope against a run. Doesn't record the sequence number.
+ * @param {Object} envelope
+ * @param {import('./types.js').IpcRunState|null} run
+ * @param {'messages'|'tasks'} channel
+ * @returns {{ ok: true, data: Object } | { ok: false, reason: string }}
+ */
+export function verifyIpcEnvelope(envelope, run, channel) {
+  if (!envelope || envelope.v !== ENVELOPE_VERSION || typeof envelope.mac !== 'string') {
+    return { ok: false, reason: 'unsigned' };
+  }
+  if (!run) return { ok: false, reason: 'no active run' };
+  if (envelope.runId !== run.runId) return { ok: false, reason: 'stale run' };
+
+  const { writer, seq, payload } = envelope;
+  if (typeof writer !== 'string' || !Number.isInteger(seq) || seq < 0 || typeof payload !== 'string') {
+    return { ok: false, reason: 'malformed envelope' };
+  }
+  if (envelope.channel !== channel) return { ok: false, reason: `signed for ${envelope.channel}, found in ${channel}` };
+
+  const expected = Buffer.from(computeMac(run.key, { runId: run.runId, writer, seq, channel, payload }), 'hex');
+  const actual = Buffer.from(envelope.mac, 'hex');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { ok: false, reason: 'bad signature' };
+  }
+  if (seq <= (run.seen[channel]?.[writer] ?? -1)) return { ok: false, reason: 'replayed' };
+
+  try {
+    return { ok: true, data: JSON.parse(payload) };
+  } catch {
+    return { ok: false, reason: 'malformed payload' };
+  }
+}
+
+/**
+ * Create a verifier for one drain of a group's inbound directory. `verify`
+ * is the `drainIpcDir` option; the run state is re-read for every file, so
+ * a run started mid-drain takes effect at once. A writer signs its files in
+ * order and each drain lists every file written before the newest it finds,
+ * so the host only keeps each writer's highest accepted sequence number per
+ * directory. `flush` saves those after the drain in a single write; until
+ * then, numbers accepted during the drain are held in memory.
+ * @param {string} groupFolder
+ * @param {'messages'|'tasks'} channel
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {{
+ *   verify: (data: Object) => ({ ok: true, data: Object } | { ok: false, reason: string }),
+ *   flush: () => void
+ * }}
+ */
+export function createIpcVerifier(groupFolder, channel, config) {
+  // runId -> writer -> sequence numbers accepted during this drain
+  const accepted = new Map();
+
+  function verify(envelope) {
+    const run = loadIpcRun(groupFolder, config);
+    // Leftovers from the run just replaced are checked against its key
+    const previous = run?.previous;
+    const target = previous && envelope?.runId === previous.runId && previous.pending.includes(channel) ? previous : run;
+    const result = verifyIpcEnvelope(envelope, target, channel);
+    if (!result.ok) return result;
+
+    const writers = accepted.get(target.runId) ?? accepted.set(target.runId, new Map()).get(target.runId);
+    const seqs = writers.get(envelope.writer) ?? writers.set(envelope.writer, new Set()).get(envelope.writer);
+    if (seqs.has(envelope.seq)) return { ok: false, reason: 'replayed' };
+    seqs.add(envelope.seq);
+    return result;
+  }
+
+  function flush() {
+    if (accepted.size === 0) return;
+    const run = loadIpcRun(groupFolder, config);
+    if (!run) return;
+    for (const target of [run, run.previous]) {
+      const writers = target && accepted.get(target.runId);
+      if (!writers) continue;
+      const marks = (target.seen[channel] ||= {});
+      for (const [writer, seqs] of writers) {
+        marks[writer] = Math.max(marks[writer] ?? -1, ...seqs);
+      }
+    }
+    accepted.clear();
+    saveRunState(groupFolder, run, config);
+  }
+
+  return { verify, flush };
+}
@@ -3,8 +3,8 @@
  * @module ipc-utils
  */
 
-import { writeFileSync, readFileSync, renameSync, readdirSync, unlinkSync, mkdirSync } from 'node:fs';
-import { join } from 'node:path';
+import { writeFileSync, readFileSync, renameSync, readdirSync, unlinkSync, mkdirSync, rmSync, watch } from 'node:fs';
+import { basename, join } from 'node:path';
 import { randomUUID } from 'node:crypto';
 
 /**
@@ -40,11 +40,18 @@ export function readIpcFile(filePath) {
 
 /**
  * Read all .json files from a directory, parse them, delete originals.
+ *
+ * With `options.verify`, each parsed file is checked first: accepted files
+ * yield the data the verifier returns, rejected and unparseable ones are moved
+ * to `options.quarantineDir` (deleted without one) and reported to `onReject`.
+ *
  * @param {string} dir - Directory to drain
- * @param {(name: string) => boolean} [filter] - Optional filename filter
+ * @param {((name: string) => boolean)|import('./types.js').DrainOptions} [options] - Filename filter, or options
  * @returns {Array<{ data: Object, filename: string }>} Parsed entries
  */
-export function drainIpcDir(dir, filter) {
+export function drainIpcDir(dir, options = {}) {
+  const { filter, verify, quarantineDir, onReject } = typeof options === 'function' ? { filter: options } : options;
+
   let entries;
   try {
     entries = readdirSync(dir);
@@ -60,18 +67,76 @@ export function drainIpcDir(dir, filter) {
 
     const filePath = join(dir, name);
     const data = readIpcFile(filePath);
-    if (data !== null) {
-      results.push({ data, filename: name });
-      try {
-        unlinkSync(filePath);
-      } catch {
-        // best effort cleanup
+    if (!verify) {
+      if (data !== null) {
+        results.push({ data, filename: name });
+        removeFile(filePath);
       }
+      continue;
+    }
+
+    const verdict = data === null ? { ok: false, reason: 'unreadable' } : verify(data, name);
+    if (verdict.ok) {
+      results.push({ data: verdict.data, filename: name });
+      removeFile(filePath);
+    } else {
+      quarantineFile(filePath, quarantineDir);
+      onReject?.(name, verdict.reason);
     }
   }
   return results;
 }
 
+/**
+ * Delete a drained file.
+ * @param {string} filePath
+ */
+function removeFile(filePath) {
+  try {
+    unlinkSync(filePath);
+  } catch {
+    // best effort cleanup
+  }
+}
+
+/**
+ * Move a rejected file out of the IPC tree, or delete it if it can't be moved.
+ * @param {string} filePath
+ * @param {string} [quarantineDir]
+ */
+function quarantineFile(filePath, quarantineDir) {
+  if (quarantineDir) {
+    try {
+      mkdirSync(quarantineDir, { recursive: true });
+      renameSync(filePath, join(quarantineDir, basename(filePath)));
+      return;
+    } catch {
+      // fall through
+    }
+  }
+  removeFile(filePath);
+}
+
+/**
+ * Atomically write the reply to an IPC request as `{requestId}.json`,
+ * where the waiting container-side caller looks for it.
+ * @param {string} dir - IPC responses directory
+ * @param {string} requestId - ID from the request file
+ * @param {import('./types.js').IpcResponse} response
+ * @returns {string} The final file path
+ */
+export function writeIpcResponse(dir, requestId, response) {
+  if (!/^[\w-]+$/.test(requestId)) {
+    throw new Error(`Invalid request ID: ${requestId}`);
+  }
+  mkdirSync(dir, { recursive: true });
+  const tmpPath = join(dir, `.${requestId}.json.tmp`);
+  const finalPath = join(dir, `${requestId}.json`);
+  writeFileSync(tmpPath, JSON.stringify({ ...response, requestId }));
+  renameSync(tmpPath, finalPath);
+  return finalPath;
+}
+
 /**
  * Write a close sentinel file to signal a container to exit.
  * @param {string} dir - IPC input directory
@@ -81,3 +146,92 @@ export function writeCloseSentinel(dir) {
   const closePath = join(dir, '_close');
   writeFileSync(closePath, '');
 }
+
+/**
+ * Remove a leftover close sentinel, so the next container doesn't exit after its first reply.
+ * @param {string} dir - IPC input directory
+ */
+export function clearCloseSentinel(dir) {
+  rmSync(join(dir, '_close'), { force: true });
+}
+
+/**
+ * Write an interrupt sentinel file to make a container abort its current query.
+ * @param {string} dir - IPC input directory
+ */
+export function writeInterruptSentinel(dir) {
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, '_interrupt'), '');
+}
+
+/**
+ * Remove a leftover interrupt sentinel, so the next container's first query isn't aborted.
+ * @param {string} dir - IPC input directory
+ */
+export function clearInterruptSentinel(dir) {
+  rmSync(join(dir, '_interrupt'), { force: true });
+}
+
+/**
+ * Watch an IPC directory tree for changes using fs.watch, with a periodic
+ * reconciliation sweep. Falls back to plain polling if watching is disabled,
+ * unsupported, or fails at runtime.
+ *
+ * @param {string} dir - Root directory to watch (recursively)
+ * @param {(filename: string|null) => void} onChange - Called with the changed path
+ *   relative to `dir`, or null when everything should be rescanned
+ * @param {Object} options
+ * @param {boolean} [options.watch=true] - Use fs.watch; false forces polling
+ * @param {number} options.pollInterval - Rescan interval in ms when polling
+ * @param {number} options.reconcileInterval - Rescan interval in ms while watching
+ * @param {(err: Error) => void} [options.onFallback] - Called when watching fails and polling takes over
+ * @returns {{ mode: 'watch'|'poll', close: () => void }}
+ */
+export function watchIpcTree(dir, onChange, options) {
+  const { pollInterval, reconcileInterval, onFallback } = options;
+
+  /** @type {import('node:fs').FSWatcher|null} */
+  let watcher = null;
+  /** @type {NodeJS.Timeout|null} */
+  let timer = null;
+
+  const handle = {
+    mode: /** @type {'watch'|'poll'} */ ('watch'),
+    close() {
+      clearInterval(timer);
+      timer = null;
+      if (watcher) {
+        watcher.close();
+        watcher = null;
+      }
+    },
+  };
+
+  function startPolling(err) {
+    handle.close();
+    handle.mode = 'poll';
+    timer = setInterval(() => onChange(null), pollInterval);
+    if (err && onFallback) onFallback(err);
+  }
+
+  if (options.watch === false) {
+    startPolling();
+    return handle;
+  }
+
+  try {
+    watcher = watch(dir, { recursive: true }, (event, filename) => {
+      onChange(filename ? String(filename) : null);
+    });
+    watcher.on('error', (err) => {
+      startPolling(err);
+      onChange(null);
+    });
+    // Events can be dropped (overflow, network filesystems), so rescan periodically
+    timer = setInterval(() => onChange(null), reconcileInterval);
+  } catch (err) {
+    startPolling(err);
+  }
+
+  return handle;
+}
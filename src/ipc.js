@@ -1,18 +1,40 @@
 /**
- * Host-side IPC watcher. Polls container IPC directories for messages and tasks.
+ * Host-side IPC watcher. Watches container IPC directories for messages and
+ * tasks, falling back to polling where fs.watch is unavailable.
  * @module ipc
  */
 
 import { readdirSync, mkdirSync, writeFileSync } from 'node:fs';
-import { join } from 'node:path';
-import { drainIpcDir } from './ipc-utils.js';
+import { join, sep } from 'node:path';
+import { drainIpcDir, watchIpcTree, writeIpcResponse } from './ipc-utils.js';
 import { createConfig } from './config.js';
+import { resolveCapabilities, checkSendTo } from './capabilities.js';
+import { createIpcVerifier, markIpcDrained } from './ipc-auth.js';
 
-/** @type {NodeJS.Timeout|null} */
-let pollHandle = null;
+// Subdirectories the host consumes; the rest are written by the host
+const INBOUND_DIRS = new Set(['messages', 'tasks']);
+
+// Fields of a container's tool_decision report that go into the audit log
+const DECISION_FIELDS = ['tool', 'subject', 'decision', 'source', 'rule', 'reason'];
 
 /**
- * Start the IPC watcher loop.
+ * Start the IPC watcher. Changes are picked up as fs.watch reports them, with a
+ * full sweep every `ipcReconcileInterval` ms so no file is ever missed. With
+ * `ipcWatch: false`, or if watching fails, every group is polled each
+ * `ipcPollInterval` ms instead.
+ *
+ * Files carrying a `requestId` get a reply in the group's `responses` directory:
+ * `{ ok: true, result }` on success or `{ ok: false, error }` when the request
+ * is rejected or fails, so MCP tools can report the real outcome.
+ * `tool_call` tasks are routed to the handlers registered in `config.tools`,
+ * `tool_approval` tasks to `deps.onToolApproval`, and `tool_decision` records
+ * from the container's tool policy are logged. Tool decisions and cross-group
+ * messages, allowed or denied, are also written to `config.auditLog`.
+ *
+ * With `config.ipcAuth` (the default), only envelopes signed for the group's
+ * current container run are processed. Anything else is moved to
+ * `<dataDir>/ipc-quarantine/<group>/<dir>`, audited as `ipc_rejected` and
+ * left unanswered.
  *
  * @param {import('./types.js').IpcDeps} deps - Callback dependencies
  * @param {import('./types.js').JsclawConfig} [config]
@@ -25,26 +47,207 @@ export function startIpcWatcher(deps, config) {
 
   mkdirSync(ipcBase, { recursive: true });
 
-  async function poll() {
-    let groupDirs;
+  /** @type {Set<string>} Group folders with pending changes */
+  const pending = new Set();
+  let fullSweep = false;
+  let sweeping = false;
+  let stopped = false;
+
+  /**
+   * List every group folder under the IPC base.
+   * @returns {string[]}
+   */
+  function listGroupDirs() {
     try {
-      groupDirs = readdirSync(ipcBase, { withFileTypes: true })
+      return readdirSync(ipcBase, { withFileTypes: true })
         .filter((d) => d.isDirectory())
         .map((d) => d.name);
     } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Queue a sweep of one group folder, or of every group when null.
+   * Sweeps never overlap; changes arriving mid-sweep trigger another pass.
+   * @param {string|null} groupFolder
+   */
+  function requestSweep(groupFolder) {
+    if (stopped) return;
+    if (groupFolder) pending.add(groupFolder);
+    else fullSweep = true;
+    if (!sweeping) runSweeps();
+  }
+
+  async function runSweeps() {
+    sweeping = true;
+    try {
+      while (!stopped && (fullSweep || pending.size > 0)) {
+        let folders;
+        if (fullSweep) {
+          fullSweep = false;
+          pending.clear();
+          folders = listGroupDirs();
+        } else {
+          folders = [...pending];
+          pending.clear();
+        }
+        await processGroups(folders);
+      }
+    } catch (err) {
+      log.error(`IPC sweep failed`, { error: err.message });
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  /**
+   * Map a watch event path to the group folder that needs a sweep.
+   * @param {string|null} filename - Path relative to the IPC base
+   */
+  function onChange(filename) {
+    if (!filename) {
+      requestSweep(null);
       return;
     }
+    const [groupFolder, subdir, name] = filename.split(sep);
+    if (subdir && !INBOUND_DIRS.has(subdir)) return;
+    if (name && (name.startsWith('.') || !name.endsWith('.json'))) return;
+    requestSweep(groupFolder);
+  }
+
+  /**
+   * Drain one of a group's inbound directories, verifying envelopes when
+   * `config.ipcAuth` is set.
+   * @param {string} groupFolder
+   * @param {'messages'|'tasks'} channel
+   * @returns {Array<{ data: Object, filename: string }>}
+   */
+  function drainInbound(groupFolder, channel) {
+    const dir = join(ipcBase, groupFolder, channel);
+    if (!config.ipcAuth) return drainIpcDir(dir);
+
+    const startedAt = new Date().toISOString();
+    const verifier = createIpcVerifier(groupFolder, channel, config);
+    const files = drainIpcDir(dir, {
+      verify: verifier.verify,
+      quarantineDir: join(config.dataDir, 'ipc-quarantine', groupFolder, channel),
+      onReject: (filename, reason) => {
+        log.warn(`Rejected IPC file`, { groupFolder, channel, filename, reason });
+        config.auditLog.record('ipc_rejected', { groupFolder, outcome: 'denied', channel, filename, reason });
+      },
+    });
+    verifier.flush();
+    markIpcDrained(groupFolder, channel, startedAt, config);
+    return files;
+  }
+
+  /**
+   * Run a host tool or ask the host for a tool approval.
+   * @param {'tool_call'|'tool_approval'} type
+   * @param {Object} payload
+   * @param {import('./types.js').ToolCallContext} context
+   * @returns {Promise<*>}
+   */
+  async function handleRequest(type, payload, context) {
+    if (type === 'tool_call') {
+      // A role's tool list binds host tools here too, whatever the container allowed
+      const allowed = context.capabilities.tools;
+      if (allowed && !allowed.includes(`mcp__jsclaw__${payload.tool}`) && !allowed.includes(payload.tool)) {
+        const reason = `Tool ${payload.tool} is not allowed for role ${context.capabilities.role}`;
+        config.auditLog.record('tool_decision', {
+          groupFolder: context.groupFolder,
+          outcome: 'denied',
+          tool: `mcp__jsclaw__${payload.tool}`,
+          source: 'host',
+          rule: null,
+          reason,
+        });
+        throw new Error(reason);
+      }
+      return config.tools.callTool(payload.tool, payload.args, context);
+    }
 
-    const groups = deps.getRegisteredGroups();
+    // Decided here, so audited here rather than trusting the container's report
+    let decision;
+    try {
+      if (!deps.onToolApproval) {
+        throw new Error('No tool approval handler is configured on the host.');
+      }
+      const answer = await deps.onToolApproval({
+        tool: payload.tool,
+        input: payload.input,
+        rule: payload.rule,
+        ...context,
+      });
+      decision = typeof answer === 'boolean'
+        ? { approved: answer }
+        : { approved: !!answer?.approved, reason: answer?.reason };
+    } catch (err) {
+      decision = { approved: false, reason: err.message };
+      throw err;
+    } finally {
+      log.info(`Tool approval decided`, { groupFolder: context.groupFolder, tool: payload.tool, ...decision });
+      config.auditLog.record('tool_decision', {
+        groupFolder: context.groupFolder,
+        outcome: decision.approved ? 'allowed' : 'denied',
+        tool: payload.tool,
+        subject: payload.subject,
+        source: 'host',
+        rule: payload.rule,
+        reason: decision.reason,
+      });
+    }
+    return decision;
+  }
+
+  /**
+   * Process pending messages and tasks for the given group folders.
+   * @param {string[]} groupDirs
+   */
+  async function processGroups(groupDirs) {
+    let groups;
+    try {
+      groups = deps.getRegisteredGroups
+        ? await deps.getRegisteredGroups()
+        : await config.storage.getRegisteredGroups();
+    } catch (err) {
+      log.error(`Failed to load registered groups`, { error: err.message });
+      return;
+    }
 
     for (const groupFolder of groupDirs) {
-      const isMain = Object.values(groups).some(
-        (g) => g.folder === groupFolder && g.folder === 'main'
-      );
+      // Identity comes from the IPC directory, not the payload
+      const group = Object.values(groups).find((g) => g.folder === groupFolder);
+      let caps;
+      try {
+        caps = resolveCapabilities(group, config);
+      } catch (err) {
+        // Leave the files for a later sweep once the config is fixed
+        log.error(`Failed to resolve group capabilities`, { groupFolder, error: err.message });
+        continue;
+      }
+      const isMain = caps.isMain;
+
+      const responsesDir = join(ipcBase, groupFolder, 'responses');
+
+      /**
+       * Reply to a request file, if the sender is waiting for one.
+       * @param {Object} data
+       * @param {import('./types.js').IpcResponse} response
+       */
+      function respond(data, response) {
+        if (!data.requestId) return;
+        try {
+          writeIpcResponse(responsesDir, data.requestId, response);
+        } catch (err) {
+          log.warn(`Failed to write IPC response`, { error: err.message, groupFolder });
+        }
+      }
 
       // Process outbound messages (container -> host)
       const messagesDir = join(ipcBase, groupFolder, 'messages');
-      const messages = drainIpcDir(messagesDir);
+      const messages = drainInbound(groupFolder, 'messages');
 
       for (const { data, filename } of messages) {
         try {
@@ -54,25 +257,43 @@ export function startIpcWatcher(deps, config) {
 
           if (!text) {
             log.warn(`IPC message missing text`, { filename, groupFolder });
+            respond(data, { ok: false, error: 'Message text is required.' });
             continue;
           }
 
-          // Authorization: non-main groups can only send to their own chat
-          if (!isMain && targetJid) {
-            const group = Object.values(groups).find((g) => g.folder === groupFolder);
-            if (group && targetJid !== group.jid) {
-              log.warn(`Non-main group attempted cross-group message`, {
-                groupFolder,
-                targetJid,
-              });
-              continue;
-            }
+          const ownJid = group?.jid;
+          const resolvedJid = targetJid || ownJid;
+          if (!resolvedJid) {
+            log.warn(`IPC message has no target chat`, { filename, groupFolder });
+            respond(data, { ok: false, error: 'No target chat for this group.' });
+            continue;
           }
 
-          const resolvedJid = targetJid || Object.values(groups).find((g) => g.folder === groupFolder)?.jid;
-          if (resolvedJid) {
-            await deps.sendMessage(resolvedJid, text, sender);
+          // Authorization: the group's capabilities decide which chats it may message
+          const crossGroup = resolvedJid !== ownJid;
+          const access = checkSendTo(caps, resolvedJid, ownJid);
+          if (!access.allowed) {
+            log.warn(`Group attempted unauthorized message`, {
+              groupFolder,
+              targetJid: resolvedJid,
+              reason: access.reason,
+            });
+            config.auditLog.record(crossGroup ? 'cross_group_message' : 'capability_denied', {
+              groupFolder,
+              outcome: 'denied',
+              targetJid: resolvedJid,
+              reason: access.reason,
+              ...(!crossGroup && { capability: 'message:own', action: 'send_message' }),
+            });
+            respond(data, { ok: false, error: `This group may not send messages to ${resolvedJid} (${access.reason}).` });
+            continue;
           }
+          if (crossGroup) {
+            config.auditLog.record('cross_group_message', { groupFolder, outcome: 'allowed', targetJid: resolvedJid });
+          }
+
+          await deps.sendMessage(resolvedJid, text, sender);
+          respond(data, { ok: true, result: { jid: resolvedJid } });
         } catch (err) {
           log.error(`Failed to process IPC message`, {
             error: err.message,
@@ -80,45 +301,91 @@ export function startIpcWatcher(deps, config) {
             groupFolder,
           });
           moveToErrors(messagesDir, filename, data, config);
+          respond(data, { ok: false, error: err.message });
         }
       }
 
       // Process task operations (container -> host)
       const tasksDir = join(ipcBase, groupFolder, 'tasks');
-      const tasks = drainIpcDir(tasksDir);
+      const tasks = drainInbound(groupFolder, 'tasks');
 
       for (const { data, filename } of tasks) {
-        try {
-          const type = data.type;
-          if (!type) {
-            log.warn(`IPC task missing type`, { filename, groupFolder });
-            continue;
+        const type = data.type;
+        if (!type) {
+          log.warn(`IPC task missing type`, { filename, groupFolder });
+          respond(data, { ok: false, error: 'Task type is required.' });
+          continue;
+        }
+
+        if (type === 'tool_decision') {
+          // The container can sign anything, so only these fields are taken from it;
+          // 'host' is reserved for decisions the host recorded itself
+          const details = {};
+          for (const field of DECISION_FIELDS) {
+            if (data.data?.[field] !== undefined) details[field] = data.data[field];
           }
+          if (details.source === 'host') delete details.source;
+          log.info(`Tool permission decision`, { groupFolder, ...details });
+          config.auditLog.record('tool_decision', {
+            ...details,
+            groupFolder,
+            outcome: details.decision === 'allow' ? 'allowed' : 'denied',
+          });
+          continue;
+        }
+
+        // Tool calls and approvals can take a while (external APIs, humans),
+        // so they are answered asynchronously and don't hold up other IPC
+        if (type === 'tool_call' || type === 'tool_approval') {
+          const context = { groupFolder, chatJid: group?.jid, isMain, capabilities: caps, group };
+          handleRequest(type, data.data || {}, context)
+            .then((result) => respond(data, { ok: true, result: result ?? null }))
+            .catch((err) => {
+              log.error(`Failed to process IPC ${type}`, { error: err.message, filename, groupFolder });
+              respond(data, { ok: false, error: err.message });
+            });
+          continue;
+        }
 
-          await deps.onTask(type, data.data || data, groupFolder, isMain);
+        try {
+          const result = await deps.onTask(type, data.data || data, groupFolder, isMain, caps);
+          respond(data, { ok: true, result: result ?? null });
         } catch (err) {
+          // Invalid or unauthorized requests are answered, not kept as failures
+          if (err.code === 'TASK_REJECTED') {
+            log.warn(`IPC task rejected`, { type, error: err.message, filename, groupFolder });
+            respond(data, { ok: false, error: err.message });
+            continue;
+          }
           log.error(`Failed to process IPC task`, {
             error: err.message,
             filename,
             groupFolder,
           });
           moveToErrors(tasksDir, filename, data, config);
+          respond(data, { ok: false, error: err.message });
         }
       }
     }
   }
 
-  // Start polling
-  pollHandle = setInterval(poll, config.ipcPollInterval);
-  // Run immediately
-  poll();
+  const watcher = watchIpcTree(ipcBase, onChange, {
+    watch: config.ipcWatch,
+    pollInterval: config.ipcPollInterval,
+    reconcileInterval: config.ipcReconcileInterval,
+    onFallback: (err) => {
+      log.warn(`IPC watch failed, falling back to polling`, { error: err.message });
+    },
+  });
+  log.debug(`IPC watcher started`, { mode: watcher.mode });
+
+  // Pick up anything written before we started
+  requestSweep(null);
 
   return {
     stop() {
-      if (pollHandle) {
-        clearInterval(pollHandle);
-        pollHandle = null;
-      }
+      stopped = true;
+      watcher.close();
     },
   };
 }
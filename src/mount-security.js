@@ -1,12 +1,21 @@
 /**
  * Volume mount validation against an allowlist.
  * Prevents containers from accessing sensitive host paths.
+ *
+ * Allowlist files (version 2) list the host roots groups may mount from and
+ * ordered allow/deny glob rules; version 1 files (`allowed_roots`,
+ * `blocked_patterns`) are still read. Patterns without a '/' match any single
+ * path segment ('.ssh', '*.pem'); patterns with one match the whole path, and
+ * relative ones may start at any directory ('/srv/keys', 'projects/private').
+ * A pattern also covers everything below a path it matches. '*' and '?' stay
+ * within a segment, '**' spans segments.
  * @module mount-security
  */
 
 import { readFileSync, realpathSync } from 'node:fs';
-import { resolve, normalize } from 'node:path';
+import { resolve, isAbsolute, posix } from 'node:path';
 
+// Always denied, except the exact paths an explicit allow rule names
 const DEFAULT_BLOCKED_PATTERNS = [
   '.ssh',
   '.gnupg',
@@ -18,133 +27,426 @@ const DEFAULT_BLOCKED_PATTERNS = [
   '.kube',
   '.docker',
   '.env',
-  'private_key',
-  'id_rsa',
-  'id_ed25519',
-  'credentials',
+  '.env.*',
+  'private_key*',
+  'id_rsa*',
+  'id_ed25519*',
+  'credentials*',
   'secrets',
+  'secrets.*',
   '.npmrc',
   '.pypirc',
 ];
 
+// Container paths the runner mounts or the image needs; additional mounts may
+// not land on, inside or above them
+const RESERVED_CONTAINER_PATHS = ['/workspace/group', '/workspace/ipc', '/app'];
+
+const ALLOWLIST_VERSION = 2;
+const ROOT_KEYS = new Set(['path', 'readOnly', 'nonMainReadOnly', 'mainOnly', 'groups']);
+const RULE_ACTIONS = new Set(['allow', 'deny']);
+
+/**
+ * Thrown by buildVolumeMounts when a group asks for mounts the allowlist
+ * doesn't permit. No container is started.
+ */
+export class MountValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ group: string, rejected: Array<{ hostPath: string, containerPath: string, reason: string }> }} details
+   */
+  constructor(message, { group, rejected }) {
+    super(message);
+    this.name = 'MountValidationError';
+    this.code = 'MOUNT_REJECTED';
+    this.group = group;
+    this.rejected = rejected;
+    // Retrying can't fix a configuration problem
+    this.retryable = false;
+  }
+}
+
+/**
+ * Bring a mount into the VolumeMount shape, accepting the legacy snake_case
+ * keys (`host_path`, `container_path`, `read_only`).
+ * @param {import('./types.js').VolumeMount|Object} mount
+ * @returns {import('./types.js').VolumeMount}
+ */
+export function normalizeMount(mount) {
+  return {
+    hostPath: mount.hostPath ?? mount.host_path,
+    containerPath: mount.containerPath ?? mount.container_path,
+    readOnly: !!(mount.readOnly ?? mount.read_only),
+  };
+}
+
+/**
+ * Check where an additional mount would land in the container. It must be
+ * absolute, must not use '..', and must stay clear of the workspace, the IPC
+ * directories and the agent runner in /app.
+ * @param {string} containerPath
+ * @returns {string|null} Why the path can't be used, or null if it can
+ */
+export function checkContainerPath(containerPath) {
+  if (typeof containerPath !== 'string' || containerPath.includes('..') || !containerPath.startsWith('/')) {
+    return `Invalid container path: ${containerPath}`;
+  }
+  const path = posix.normalize(containerPath).replace(/(.)\/$/, '$1');
+  for (const reserved of RESERVED_CONTAINER_PATHS) {
+    if (path === reserved || path.startsWith(reserved + '/') || reserved.startsWith(path === '/' ? '/' : path + '/')) {
+      return `Container path ${containerPath} overlaps reserved path ${reserved}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile a mount glob to a regex. Segment patterns (no '/') match one path
+ * segment; path patterns are anchored, and relative ones may start anywhere.
+ * @param {string} pattern
+ * @returns {{ regex: RegExp, segment: boolean }}
+ */
+function compileGlob(pattern) {
+  const segment = !pattern.includes('/');
+  const anchored = segment || pattern.startsWith('/') || pattern.startsWith('**') ? pattern : `**/${pattern}`;
+
+  let source = '';
+  for (let i = 0; i < anchored.length; i++) {
+    const c = anchored[i];
+    if (c === '*' && anchored[i + 1] === '*') {
+      // '**/' may match no directories at all
+      if (anchored[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return { regex: new RegExp(`^${source}$`, 'i'), segment };
+}
+
+/**
+ * Test a pattern against a path or any of its ancestors.
+ * @param {string} pattern
+ * @param {string} path - Absolute, resolved path
+ * @returns {boolean}
+ */
+export function matchesMountPattern(pattern, path) {
+  return matchDepth(pattern, path) > 0;
+}
+
+/**
+ * Find the shallowest ancestor of a path (or the path itself) a pattern
+ * matches, looking only below the first `from` segments.
+ * @param {string} pattern
+ * @param {string} path - Absolute, resolved path
+ * @param {number} [from=0] - Segments to skip
+ * @returns {number} Segment count of the matching ancestor, or 0 if none matches
+ */
+function matchDepth(pattern, path, from = 0) {
+  const { regex, segment } = compileGlob(pattern);
+  const parts = path.split('/').filter(Boolean);
+  for (let i = from + 1; i <= parts.length; i++) {
+    if (segment ? regex.test(parts[i - 1]) : regex.test('/' + parts.slice(0, i).join('/'))) return i;
+  }
+  return 0;
+}
+
+/**
+ * Validate a parsed allowlist, throwing on the first problem.
+ * @param {Object} data - Parsed allowlist JSON (version 1 or 2)
+ * @param {string} [label='mountAllowlist'] - Prefix for error messages
+ * @throws {Error} If the allowlist is malformed
+ */
+export function validateMountAllowlist(data, label = 'mountAllowlist') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${label} must be a JSON object`);
+  }
+
+  const version = data.version ?? 1;
+  if (version === 1) {
+    if (!Array.isArray(data.allowed_roots)) {
+      throw new Error(`${label}.allowed_roots must be an array (or set "version": ${ALLOWLIST_VERSION} and use roots)`);
+    }
+    data.allowed_roots.forEach((root, i) => {
+      if (typeof root !== 'string' || !isAbsolute(root)) {
+        throw new Error(`${label}.allowed_roots[${i}] must be an absolute path, got: ${JSON.stringify(root)}`);
+      }
+    });
+    if (data.blocked_patterns !== undefined
+      && (!Array.isArray(data.blocked_patterns) || data.blocked_patterns.some((p) => typeof p !== 'string' || !p))) {
+      throw new Error(`${label}.blocked_patterns must be an array of non-empty strings`);
+    }
+    return;
+  }
+
+  if (version !== ALLOWLIST_VERSION) {
+    throw new Error(`${label}.version must be 1 or ${ALLOWLIST_VERSION}, got: ${JSON.stringify(version)}`);
+  }
+  if (!Array.isArray(data.roots)) {
+    throw new Error(`${label}.roots must be an array`);
+  }
+  data.roots.forEach((root, i) => {
+    const at = `${label}.roots[${i}]`;
+    if (typeof root === 'string') root = { path: root };
+    if (!root || typeof root !== 'object') {
+      throw new Error(`${at} must be a path or an object with a path`);
+    }
+    for (const key of Object.keys(root)) {
+      if (!ROOT_KEYS.has(key)) throw new Error(`${at}.${key} is not a known option`);
+    }
+    if (typeof root.path !== 'string' || !isAbsolute(root.path)) {
+      throw new Error(`${at}.path must be an absolute path, got: ${JSON.stringify(root.path)}`);
+    }
+    for (const key of ['readOnly', 'nonMainReadOnly', 'mainOnly']) {
+      if (root[key] !== undefined && typeof root[key] !== 'boolean') {
+        throw new Error(`${at}.${key} must be a boolean`);
+      }
+    }
+    if (root.groups !== undefined
+      && (!Array.isArray(root.groups) || root.groups.some((g) => typeof g !== 'string' || !g))) {
+      throw new Error(`${at}.groups must be an array of group folder names`);
+    }
+  });
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new Error(`${label}.rules must be an array`);
+  }
+  (data.rules || []).forEach((rule, i) => {
+    const at = `${label}.rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${at} must be an object with action and pattern`);
+    }
+    if (!RULE_ACTIONS.has(rule.action)) {
+      throw new Error(`${at}.action must be 'allow' or 'deny', got: ${JSON.stringify(rule.action)}`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      throw new Error(`${at}.pattern must be a non-empty string`);
+    }
+  });
+}
+
+/**
+ * Resolve a root to its real path so symlinked roots match resolved mounts.
+ * @param {string} path
+ * @returns {string}
+ */
+function realRoot(path) {
+  try {
+    return realpathSync(path);
+  } catch {
+    return resolve(path);
+  }
+}
+
+/**
+ * Validate an allowlist object and bring it into the version 2 shape.
+ * @param {Object} data - Parsed allowlist JSON (version 1 or 2)
+ * @param {string} [label='mountAllowlist'] - Prefix for error messages
+ * @returns {import('./types.js').MountAllowlist}
+ * @throws {Error} If the allowlist is malformed
+ */
+export function parseMountAllowlist(data, label = 'mountAllowlist') {
+  validateMountAllowlist(data, label);
+
+  if ((data.version ?? 1) === 1) {
+    return {
+      version: ALLOWLIST_VERSION,
+      roots: data.allowed_roots.map((path) => ({ path: realRoot(path) })),
+      rules: (data.blocked_patterns || []).map((pattern) => ({ action: 'deny', pattern })),
+    };
+  }
+
+  return {
+    version: ALLOWLIST_VERSION,
+    roots: data.roots.map((root) => {
+      const { path, ...options } = typeof root === 'string' ? { path: root } : root;
+      return { ...options, path: realRoot(path) };
+    }),
+    rules: (data.rules || []).map(({ action, pattern }) => ({ action, pattern })),
+  };
+}
+
 /**
  * Load and validate a mount allowlist from a JSON file.
  * @param {string} allowlistPath - Path to allowlist JSON
- * @returns {import('./types.js').MountAllowlist|null}
+ * @returns {import('./types.js').MountAllowlist}
+ * @throws {Error} If the file can't be read or parsed, or fails validation
  */
 export function loadMountAllowlist(allowlistPath) {
+  let data;
   try {
-    const raw = readFileSync(allowlistPath, 'utf-8');
-    const parsed = JSON.parse(raw);
-    if (!parsed.allowed_roots || !Array.isArray(parsed.allowed_roots)) {
-      return null;
-    }
-    return {
-      allowed_roots: parsed.allowed_roots.map((r) => resolve(r)),
-      blocked_patterns: parsed.blocked_patterns || [],
-    };
-  } catch {
-    return null;
+    data = JSON.parse(readFileSync(allowlistPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Failed to load mount allowlist from ${allowlistPath}: ${err.message}`);
   }
+  return parseMountAllowlist(data, allowlistPath);
 }
 
 /**
- * Check if a path matches any blocked pattern.
- * @param {string} hostPath
- * @param {string[]} extraBlocked
- * @returns {string|null} The matched pattern, or null if safe
+ * Decide whether rules block a path. Rules are checked in order and the
+ * first one matching a directory decides for it. An allow rule only covers
+ * the directory it matched: later rules and the built-in patterns are still
+ * checked on every segment below it, so allowing `/data` doesn't open
+ * `/data/k.pem` to a later `*.pem` deny, nor a home directory's `.ssh`.
+ * @param {string} hostPath - Resolved host path
+ * @param {import('./types.js').MountRule[]} rules
+ * @returns {string|null} Why the path is blocked, or null if it isn't
  */
-function matchesBlocked(hostPath, extraBlocked = []) {
-  const allBlocked = [...DEFAULT_BLOCKED_PATTERNS, ...extraBlocked];
-  const normalized = normalize(hostPath).toLowerCase();
-  for (const pattern of allBlocked) {
-    if (normalized.includes(pattern.toLowerCase())) {
-      return pattern;
+function checkRules(hostPath, rules) {
+  let allowedDepth = 0;
+  for (const rule of rules) {
+    const depth = matchDepth(rule.pattern, hostPath, allowedDepth);
+    if (!depth) continue;
+    if (rule.action === 'deny') return `Path matches deny rule '${rule.pattern}': ${hostPath}`;
+    allowedDepth = depth;
+  }
+  for (const pattern of DEFAULT_BLOCKED_PATTERNS) {
+    if (matchDepth(pattern, hostPath, allowedDepth)) {
+      return `Path matches blocked pattern '${pattern}': ${hostPath}`;
     }
   }
   return null;
 }
 
+/**
+ * Find the most specific root containing a path that the group may use.
+ * @param {string} hostPath - Resolved host path
+ * @param {import('./types.js').MountAllowlist} allowlist
+ * @param {boolean} isMain
+ * @param {string} [groupFolder]
+ * @returns {{ root: import('./types.js').MountRoot }|{ reason: string }}
+ */
+function findRoot(hostPath, allowlist, isMain, groupFolder) {
+  const containing = allowlist.roots
+    .filter((root) => hostPath === root.path || hostPath.startsWith(root.path === '/' ? '/' : root.path + '/'))
+    .sort((a, b) => b.path.length - a.path.length);
+
+  if (containing.length === 0) {
+    return { reason: `Path not under any allowed root: ${hostPath}` };
+  }
+
+  // A restricted root also shadows the broader roots around it
+  const root = containing[0];
+  if (root.mainOnly && !isMain) {
+    return { reason: `Root ${root.path} is only available to the main group: ${hostPath}` };
+  }
+  if (root.groups && !isMain && !root.groups.includes(groupFolder)) {
+    return { reason: `Root ${root.path} is not available to group ${groupFolder}: ${hostPath}` };
+  }
+  return { root };
+}
+
 /**
  * Validate a single mount against the allowlist.
- * @param {import('./types.js').AdditionalMount} mount
+ * @param {import('./types.js').VolumeMount} mount - Legacy snake_case keys are accepted
  * @param {boolean} isMain - Whether this is the main/admin group
- * @param {import('./types.js').MountAllowlist} allowlist
- * @returns {{ valid: boolean, reason?: string }}
+ * @param {import('./types.js').MountAllowlist} allowlist - As returned by loadMountAllowlist or parseMountAllowlist
+ * @param {string} [groupFolder] - Checked against each root's `groups`
+ * @returns {{ valid: boolean, reason?: string, hostPath?: string, readOnly?: boolean }} When valid,
+ *   `hostPath` is the resolved host path to mount and `readOnly` includes any read-only forced by its root
  */
-export function validateMount(mount, isMain, allowlist) {
-  const { host_path, container_path } = mount;
+export function validateMount(mount, isMain, allowlist, groupFolder) {
+  const { hostPath, containerPath, readOnly } = normalizeMount(mount);
+
+  if (typeof hostPath !== 'string' || typeof containerPath !== 'string') {
+    return { valid: false, reason: 'Mount needs a hostPath and a containerPath' };
+  }
 
-  // Container path must not escape
-  if (container_path.includes('..') || !container_path.startsWith('/')) {
-    return { valid: false, reason: `Invalid container path: ${container_path}` };
+  // Container path must not escape or shadow the runner's own mounts
+  const badTarget = checkContainerPath(containerPath);
+  if (badTarget) {
+    return { valid: false, reason: badTarget };
   }
 
   // Resolve symlinks
   let realHostPath;
   try {
-    realHostPath = realpathSync(host_path);
+    realHostPath = realpathSync(hostPath);
   } catch {
-    return { valid: false, reason: `Host path does not exist: ${host_path}` };
+    return { valid: false, reason: `Host path does not exist: ${hostPath}` };
   }
 
-  // Check blocked patterns
-  const blocked = matchesBlocked(realHostPath, allowlist.blocked_patterns);
+  const blocked = checkRules(realHostPath, allowlist.rules);
   if (blocked) {
-    return { valid: false, reason: `Path matches blocked pattern '${blocked}': ${realHostPath}` };
+    return { valid: false, reason: blocked };
   }
 
-  // Check allowed roots
-  const underAllowedRoot = allowlist.allowed_roots.some(
-    (root) => realHostPath === root || realHostPath.startsWith(root + '/')
-  );
-  if (!underAllowedRoot) {
-    return {
-      valid: false,
-      reason: `Path not under any allowed root: ${realHostPath}`,
-    };
+  const found = findRoot(realHostPath, allowlist, isMain, groupFolder);
+  if (found.reason) {
+    return { valid: false, reason: found.reason };
   }
 
-  return { valid: true };
+  const { root } = found;
+  return {
+    valid: true,
+    hostPath: realHostPath,
+    readOnly: readOnly || !!root.readOnly || (!isMain && !!root.nonMainReadOnly),
+  };
 }
 
 /**
  * Validate an array of additional mounts.
- * @param {import('./types.js').AdditionalMount[]} mounts
- * @param {string} groupName
+ * @param {import('./types.js').VolumeMount[]} mounts - Legacy snake_case keys are accepted
+ * @param {string} groupFolder - Checked against each root's `groups`
  * @param {boolean} isMain
  * @param {string} [allowlistPath]
- * @returns {{ valid: boolean, errors: string[] }}
+ * @returns {{
+ *   valid: boolean,
+ *   errors: string[],
+ *   mounts: import('./types.js').VolumeMount[],
+ *   rejected: Array<{ hostPath: string, containerPath: string, reason: string }>
+ * }} `mounts` holds the accepted mounts with resolved host paths and effective read-only flags
  */
-export function validateAdditionalMounts(mounts, groupName, isMain, allowlistPath) {
+export function validateAdditionalMounts(mounts, groupFolder, isMain, allowlistPath) {
   if (!mounts || mounts.length === 0) {
-    return { valid: true, errors: [] };
+    return { valid: true, errors: [], mounts: [], rejected: [] };
   }
 
+  // Without a usable allowlist every mount is rejected for the same reason
+  const rejectAll = (reason) => ({
+    valid: false,
+    errors: [reason],
+    mounts: [],
+    rejected: mounts.map((m) => {
+      const { hostPath, containerPath } = normalizeMount(m);
+      return { hostPath, containerPath, reason };
+    }),
+  });
+
   if (!allowlistPath) {
-    return {
-      valid: false,
-      errors: ['No mount allowlist configured. All additional mounts are blocked.'],
-    };
+    return rejectAll('No mount allowlist configured. All additional mounts are blocked.');
   }
 
-  const allowlist = loadMountAllowlist(allowlistPath);
-  if (!allowlist) {
-    return {
-      valid: false,
-      errors: [`Failed to load mount allowlist from: ${allowlistPath}`],
-    };
+  let allowlist;
+  try {
+    allowlist = loadMountAllowlist(allowlistPath);
+  } catch (err) {
+    return rejectAll(err.message);
   }
 
   const errors = [];
+  const accepted = [];
+  const rejected = [];
   for (const mount of mounts) {
-    const result = validateMount(mount, isMain, allowlist);
-    if (!result.valid) {
+    const normalized = normalizeMount(mount);
+    const result = validateMount(normalized, isMain, allowlist, groupFolder);
+    if (result.valid) {
+      accepted.push({ ...normalized, hostPath: result.hostPath, readOnly: result.readOnly });
+    } else {
       errors.push(result.reason);
+      rejected.push({ hostPath: normalized.hostPath, containerPath: normalized.containerPath, reason: result.reason });
     }
   }
 
-  return { valid: errors.length === 0, errors };
+  return { valid: errors.length === 0, errors, mounts: accepted, rejected };
 }
 
 /**
@@ -153,8 +455,14 @@ export function validateAdditionalMounts(mounts, groupName, isMain, allowlistPat
  */
 export function generateAllowlistTemplate() {
   return {
-    allowed_roots: ['/home', '/opt/data'],
-    blocked_patterns: [],
-    _comment: 'Add host directories that containers may mount. Default blocked patterns always apply.',
+    version: ALLOWLIST_VERSION,
+    roots: [
+      { path: '/home', nonMainReadOnly: true },
+      { path: '/opt/data', readOnly: true },
+    ],
+    rules: [
+      { action: 'deny', pattern: '*.pem' },
+    ],
+    _comment: 'Add host directories that containers may mount. Built-in blocked patterns apply unless an allow rule matches first.',
   };
 }
@@ -0,0 +1,122 @@
+/**
+ * Secrets for containers. Secrets are delivered in the stdin payload, never as
+ * command-line arguments, and each group only receives the ones it is scoped to.
+ * Inside the container only the SDK credential and the group's `toolSecrets`
+ * are put in the agent's environment; everything else is withheld.
+ * @module secrets
+ */
+
+import { readFileSync } from 'node:fs';
+
+/** Secrets the Claude SDK authenticates with; also picked up from the host environment. */
+export const SDK_CREDENTIALS = ['ANTHROPIC_API_KEY', 'CLAUDE_CODE_OAUTH_TOKEN'];
+
+/**
+ * Load secrets from a file. Accepts a JSON object or dotenv-style KEY=VALUE lines.
+ * @param {string} filePath
+ * @returns {Record<string, string>}
+ * @throws {Error} If the file can't be read or parsed
+ */
+export function loadSecretsFile(filePath) {
+  const raw = readFileSync(filePath, 'utf-8');
+
+  if (raw.trimStart().startsWith('{')) {
+    const parsed = JSON.parse(raw);
+    const secrets = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (typeof value !== 'string') {
+        throw new Error(`Secret '${key}' must be a string`);
+      }
+      secrets[key] = value;
+    }
+    return secrets;
+  }
+
+  const secrets = {};
+  for (const line of raw.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const eq = trimmed.indexOf('=');
+    if (eq === -1) {
+      throw new Error(`Invalid secrets line: ${trimmed.slice(0, 40)}`);
+    }
+    const key = trimmed.slice(0, eq).replace(/^export\s+/, '').trim();
+    let value = trimmed.slice(eq + 1).trim();
+    if (/^(['"]).*\1$/.test(value)) value = value.slice(1, -1);
+    secrets[key] = value;
+  }
+  return secrets;
+}
+
+/**
+ * Resolve every configured secret. Later sources win:
+ * host env fallbacks, then `config.secretsFile`, then `config.secrets`.
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {Record<string, string>}
+ */
+export function resolveSecrets(config) {
+  const secrets = {};
+
+  for (const name of SDK_CREDENTIALS) {
+    if (process.env[name]) secrets[name] = process.env[name];
+  }
+
+  if (config.secretsFile) {
+    try {
+      Object.assign(secrets, loadSecretsFile(config.secretsFile));
+    } catch (err) {
+      config.logger.error(`Failed to load secrets file`, { path: config.secretsFile, error: err.message });
+    }
+  }
+
+  Object.assign(secrets, config.secrets);
+  return secrets;
+}
+
+/**
+ * Pick the secrets a group may receive. `group.secrets` lists them explicitly;
+ * otherwise the main group gets everything and other groups get `config.defaultGroupSecrets`.
+ * @param {import('./types.js').GroupConfig} group
+ * @param {boolean} isMain
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {Record<string, string>}
+ */
+export function resolveGroupSecrets(group, isMain, config) {
+  const all = resolveSecrets(config);
+
+  let names;
+  if (group.secrets) {
+    names = group.secrets;
+  } else if (isMain) {
+    return all;
+  } else {
+    names = config.defaultGroupSecrets;
+  }
+
+  const scoped = {};
+  for (const name of names) {
+    if (name in all) scoped[name] = all[name];
+  }
+  return scoped;
+}
+
+/**
+ * Split a group's secrets by where they go in the container. The SDK
+ * credential is needed to run at all; other secrets reach the agent's tools
+ * only when named in `group.toolSecrets`, since anything in the SDK's
+ * environment can be read by its Bash tool.
+ * @param {Record<string, string>} secrets - From resolveGroupSecrets
+ * @param {import('./types.js').GroupConfig} group
+ * @returns {{ credentials: Record<string, string>, toolSecrets: Record<string, string>, withheld: string[] }}
+ */
+export function partitionSecrets(secrets, group) {
+  const credentials = {};
+  const toolSecrets = {};
+  const withheld = [];
+  for (const [name, value] of Object.entries(secrets)) {
+    if (SDK_CREDENTIALS.includes(name)) credentials[name] = value;
+    else if (group.toolSecrets?.includes(name)) toolSecrets[name] = value;
+    else withheld.push(name);
+  }
+  return { credentials, toolSecrets, withheld };
+}
@@ -0,0 +1,240 @@
+/**
+ * Storage adapters for sessions, scheduled tasks, task run history, the
+ * registered group registry, the usage ledger and the queue journal. Bring your own by implementing StorageAdapter;
+ * methods may return plain values or Promises.
+ * @module storage
+ */
+
+import { appendFileSync, existsSync, readFileSync, readdirSync, writeFileSync, renameSync, rmSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+// Run history kept per task; older runs are dropped
+const MAX_RUNS_PER_TASK = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Whether a usage record matches a filter.
+ * @param {import('./types.js').UsageRecord} r
+ * @param {import('./types.js').UsageFilter} filter
+ * @returns {boolean}
+ */
+function matchesUsage(r, filter) {
+  return (!filter.groupFolder || r.groupFolder === filter.groupFolder) &&
+    (!filter.chatJid || r.chatJid === filter.chatJid) &&
+    (!filter.taskId || r.taskId === filter.taskId) &&
+    (!filter.since || r.timestamp >= filter.since) &&
+    (!filter.until || r.timestamp < filter.until);
+}
+
+/**
+ * Append-only usage ledger: one JSON-lines file per UTC day, so recording a
+ * run appends a line and a date-bounded query only reads the days it covers.
+ * Day files older than `retentionDays` are deleted when a new day starts.
+ * @param {string} dir - Directory holding the day files
+ * @param {number} retentionDays - 0 keeps everything
+ * @param {string} legacyPath - usage.json from earlier versions, imported once
+ * @returns {{ add: (record: import('./types.js').UsageRecord) => void, query: (filter: import('./types.js').UsageFilter) => import('./types.js').UsageRecord[] }}
+ */
+function createUsageLog(dir, retentionDays, legacyPath) {
+  let migrated = false;
+  let lastDay = null;
+
+  function dayFiles() {
+    try {
+      return readdirSync(dir).filter((f) => USAGE_FILE.test(f)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  function append(record) {
+    mkdirSync(dir, { recursive: true });
+    appendFileSync(join(dir, `${record.timestamp.slice(0, 10)}.jsonl`), JSON.stringify(record) + '\n');
+  }
+
+  function migrate() {
+    if (migrated) return;
+    migrated = true;
+    if (!existsSync(legacyPath)) return;
+    const records = JSON.parse(readFileSync(legacyPath, 'utf-8'));
+    for (const record of Array.isArray(records) ? records : []) append(record);
+    renameSync(legacyPath, `${legacyPath}.migrated`);
+  }
+
+  function prune(today) {
+    if (!retentionDays) return;
+    const cutoff = new Date(Date.parse(today) - retentionDays * DAY_MS).toISOString().slice(0, 10);
+    for (const file of dayFiles()) {
+      if (file.slice(0, 10) < cutoff) rmSync(join(dir, file), { force: true });
+    }
+  }
+
+  return {
+    add(record) {
+      migrate();
+      append(record);
+      const day = record.timestamp.slice(0, 10);
+      if (day !== lastDay) {
+        lastDay = day;
+        prune(day);
+      }
+    },
+    query(filter) {
+      migrate();
+      const from = filter.since?.slice(0, 10);
+      const to = filter.until?.slice(0, 10);
+      const records = [];
+      for (const file of dayFiles()) {
+        const day = file.slice(0, 10);
+        if ((from && day < from) || (to && day > to)) continue;
+        for (const line of readFileSync(join(dir, file), 'utf-8').split('\n')) {
+          if (!line) continue;
+          try {
+            records.push(JSON.parse(line));
+          } catch {
+            // torn write
+          }
+        }
+      }
+      return records;
+    },
+  };
+}
+
+/**
+ * Create the shared adapter around a set of collections.
+ * @param {() => Object} load - Returns the collections object
+ * @param {(name: string) => void} persist - Called after a collection changes
+ * @param {{ add: Function, query: Function }} usage - Where usage records live
+ * @returns {import('./types.js').StorageAdapter}
+ */
+function createAdapter(load, persist, usage) {
+  return {
+    getSession(groupFolder) {
+      return load().sessions[groupFolder];
+    },
+    setSession(groupFolder, sessionId) {
+      load().sessions[groupFolder] = sessionId;
+      persist('sessions');
+    },
+    deleteSession(groupFolder) {
+      delete load().sessions[groupFolder];
+      persist('sessions');
+    },
+
+    getTasks() {
+      return Object.values(load().tasks);
+    },
+    getTask(taskId) {
+      return load().tasks[taskId];
+    },
+    saveTask(task) {
+      load().tasks[task.id] = task;
+      persist('tasks');
+    },
+    deleteTask(taskId) {
+      delete load().tasks[taskId];
+      persist('tasks');
+    },
+
+    addTaskRun(run) {
+      const runs = load().taskRuns;
+      const list = runs[run.task_id] || (runs[run.task_id] = []);
+      list.push(run);
+      if (list.length > MAX_RUNS_PER_TASK) list.splice(0, list.length - MAX_RUNS_PER_TASK);
+      persist('taskRuns');
+    },
+    getTaskRuns(taskId, limit = MAX_RUNS_PER_TASK) {
+      return (load().taskRuns[taskId] || []).slice(-limit);
+    },
+
+    addUsage(record) {
+      usage.add(record);
+    },
+    getUsage(filter = {}) {
+      return usage.query(filter).filter((r) => matchesUsage(r, filter));
+    },
+
+    getQueueItems() {
+      return Object.values(load().queue);
+    },
+    saveQueueItem(entry) {
+      load().queue[entry.id] = entry;
+      persist('queue');
+    },
+    deleteQueueItem(id) {
+      if (!(id in load().queue)) return;
+      delete load().queue[id];
+      persist('queue');
+    },
+
+    getRegisteredGroups() {
+      return { ...load().groups };
+    },
+    registerGroup(group) {
+      load().groups[group.jid] = group;
+      persist('groups');
+    },
+    unregisterGroup(jid) {
+      delete load().groups[jid];
+      persist('groups');
+    },
+  };
+}
+
+/**
+ * Create an in-memory storage adapter. Nothing survives a restart.
+ * @returns {import('./types.js').StorageAdapter}
+ */
+export function createMemoryStorage() {
+  const data = { sessions: {}, tasks: {}, taskRuns: {}, groups: {}, queue: {} };
+  const usage = [];
+  return createAdapter(() => data, () => {}, { add: (record) => usage.push(record), query: () => usage });
+}
+
+/**
+ * Create a storage adapter backed by JSON files in a directory.
+ * Files are read lazily on first access and rewritten atomically on change;
+ * usage records are appended to `usage/<YYYY-MM-DD>.jsonl` instead.
+ * @param {string} dir - Directory holding sessions.json, tasks.json, task_runs.json, groups.json, queue.json and usage/
+ * @param {Object} [options]
+ * @param {number} [options.usageRetentionDays=0] - Delete usage older than this many days; 0 keeps everything
+ * @returns {import('./types.js').StorageAdapter}
+ */
+export function createFileStorage(dir, { usageRetentionDays = 0 } = {}) {
+  const files = {
+    sessions: 'sessions.json',
+    tasks: 'tasks.json',
+    taskRuns: 'task_runs.json',
+    groups: 'groups.json',
+    queue: 'queue.json',
+  };
+
+  /** @type {Object|null} */
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    data = {};
+    for (const [name, file] of Object.entries(files)) {
+      try {
+        data[name] = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+      } catch {
+        data[name] = {};
+      }
+    }
+    return data;
+  }
+
+  function persist(name) {
+    mkdirSync(dir, { recursive: true });
+    const finalPath = join(dir, files[name]);
+    const tmpPath = `${finalPath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(data[name], null, 2));
+    renameSync(tmpPath, finalPath);
+  }
+
+  return createAdapter(load, persist, createUsageLog(join(dir, 'usage'), usageRetentionDays, join(dir, 'usage.json')));
+}
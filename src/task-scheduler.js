@@ -0,0 +1,604 @@
+/**
+ * Host-side task scheduler. Persists tasks scheduled by agents via the
+ * schedule_task/pause_task/resume_task/cancel_task MCP tools in the configured
+ * storage adapter and runs them through the GroupQueue when they fall due.
+ * @module task-scheduler
+ */
+
+import { randomUUID } from 'node:crypto';
+import { nextCronRun } from './cron.js';
+import { QuotaExceededError } from './group-queue.js';
+import { runContainerAgent, writeTasksSnapshot } from './container-runner.js';
+import { createConfig } from './config.js';
+import { resolveCapabilities, hasCapability } from './capabilities.js';
+
+/**
+ * Compute the next run time for a task.
+ * @param {{ schedule_type: string, schedule_value: string }} task
+ * @param {Date} [from=new Date()]
+ * @returns {Date|null} Next run time, or null if the task will not run again
+ * @throws {Error} If the schedule is invalid
+ */
+export function computeNextRun(task, from = new Date()) {
+  const { schedule_type, schedule_value } = task;
+
+  switch (schedule_type) {
+    case 'cron':
+      return nextCronRun(schedule_value, from);
+
+    case 'interval': {
+      const ms = Number(schedule_value);
+      if (!Number.isFinite(ms) || ms <= 0) {
+        throw new Error(`Invalid interval: ${schedule_value}`);
+      }
+      return new Date(from.getTime() + ms);
+    }
+
+    case 'once': {
+      const at = new Date(schedule_value);
+      if (Number.isNaN(at.getTime())) {
+        throw new Error(`Invalid date: ${schedule_value}`);
+      }
+      return at;
+    }
+
+    default:
+      throw new Error(`Unknown schedule type: ${schedule_type}`);
+  }
+}
+
+// Scheduler that runs each queue's 'scheduled_task' items
+const schedulers = new WeakMap();
+
+/**
+ * Thrown when a task request is invalid or not allowed, as opposed to failing.
+ * The IPC watcher answers these without treating them as errors.
+ */
+export class TaskRejectedError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TaskRejectedError';
+    this.code = 'TASK_REJECTED';
+  }
+}
+
+export class TaskScheduler {
+  /**
+   * @param {import('./group-queue.js').GroupQueue} queue - Queue used to run due tasks
+   * @param {import('./types.js').SchedulerDeps} deps - Callback dependencies
+   * @param {import('./types.js').JsclawConfig} [config]
+   */
+  constructor(queue, deps, config) {
+    this._queue = queue;
+    this._deps = deps;
+    this._config = config || createConfig();
+    this._log = this._config.logger;
+    this._storage = this._config.storage;
+
+    /** @type {Map<string, import('./types.js').ScheduledTask>} */
+    this._tasks = new Map();
+
+    /** @type {Set<string>} Task IDs currently queued or running */
+    this._running = new Set();
+
+    /** @type {NodeJS.Timeout|null} */
+    this._timer = null;
+
+    /** @type {Promise<void>|null} */
+    this._loaded = null;
+
+    // Usable directly as IpcDeps.onTask
+    this.handleIpcTask = this.handleIpcTask.bind(this);
+
+    // Due runs are queued as descriptors so a journaled queue can replay them.
+    // The handler is registered once per queue and runs on its latest scheduler.
+    if (!schedulers.has(this._queue)) {
+      this._queue.registerHandler('scheduled_task', (payload) => schedulers.get(this._queue)._runQueued(payload.taskId));
+    }
+    schedulers.set(this._queue, this);
+  }
+
+  /**
+   * Load tasks from storage and start checking for due tasks every
+   * `schedulerPollInterval` ms.
+   */
+  async start() {
+    await this._load();
+    if (this._timer) return;
+    await this._writeSnapshots();
+    this._timer = setInterval(() => this._tick(), this._config.schedulerPollInterval);
+    this._tick();
+  }
+
+  /**
+   * Stop the scheduler loop. Tasks already queued still run.
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Create a new scheduled task.
+   * @param {Object} spec
+   * @param {string} spec.prompt
+   * @param {'cron'|'interval'|'once'} spec.schedule_type
+   * @param {string} spec.schedule_value
+   * @param {'fresh'|'resume'} [spec.context_mode='fresh']
+   * @param {string} spec.chat_jid
+   * @param {string} spec.group_folder
+   * @returns {Promise<import('./types.js').ScheduledTask>}
+   * @throws {TaskRejectedError} If the spec is invalid
+   */
+  async scheduleTask(spec) {
+    await this._load();
+    const { prompt, schedule_type, schedule_value, chat_jid, group_folder } = spec;
+    if (!prompt || !chat_jid || !group_folder) {
+      throw new TaskRejectedError('Task requires prompt, chat_jid and group_folder');
+    }
+
+    const contextMode = spec.context_mode || 'fresh';
+    if (contextMode !== 'fresh' && contextMode !== 'resume') {
+      throw new TaskRejectedError(`Invalid context mode: ${contextMode}`);
+    }
+
+    let nextRun;
+    try {
+      nextRun = computeNextRun({ schedule_type, schedule_value });
+    } catch (err) {
+      throw new TaskRejectedError(err.message);
+    }
+
+    /** @type {import('./types.js').ScheduledTask} */
+    const task = {
+      id: `task-${Date.now()}-${randomUUID().slice(0, 8)}`,
+      group_folder,
+      chat_jid,
+      prompt,
+      schedule_type,
+      schedule_value: String(schedule_value),
+      context_mode: contextMode,
+      status: 'active',
+      next_run: nextRun ? nextRun.toISOString() : null,
+      last_run: null,
+      last_result: null,
+      created_at: new Date().toISOString(),
+    };
+
+    this._tasks.set(task.id, task);
+    await this._save(task);
+    this._log.info(`Task scheduled: ${task.id}`, { group: group_folder, schedule_type, next_run: task.next_run });
+    return task;
+  }
+
+  /**
+   * Pause an active task.
+   * @param {string} taskId
+   * @returns {Promise<boolean>} Whether the task exists
+   */
+  async pauseTask(taskId) {
+    await this._load();
+    const task = this._tasks.get(taskId);
+    if (!task) return false;
+    if (task.status === 'active') {
+      task.status = 'paused';
+      await this._save(task);
+    }
+    return true;
+  }
+
+  /**
+   * Resume a paused task, recomputing its next run from now.
+   * @param {string} taskId
+   * @returns {Promise<boolean>} Whether the task exists
+   */
+  async resumeTask(taskId) {
+    await this._load();
+    const task = this._tasks.get(taskId);
+    if (!task) return false;
+    if (task.status === 'paused') {
+      task.status = 'active';
+      if (task.schedule_type !== 'once') {
+        task.next_run = computeNextRun(task).toISOString();
+      }
+      await this._save(task);
+    }
+    return true;
+  }
+
+  /**
+   * Cancel and delete a task.
+   * @param {string} taskId
+   * @returns {Promise<boolean>} Whether the task existed
+   */
+  async cancelTask(taskId) {
+    await this._load();
+    if (!this._tasks.delete(taskId)) return false;
+    try {
+      await this._storage.deleteTask(taskId);
+    } catch (err) {
+      this._log.error(`Failed to delete task`, { taskId, error: err.message });
+    }
+    await this._writeSnapshots();
+    return true;
+  }
+
+  /**
+   * Get the run history of a task, oldest first.
+   * @param {string} taskId
+   * @param {number} [limit]
+   * @returns {Promise<import('./types.js').TaskRun[]>}
+   */
+  async getTaskRuns(taskId, limit) {
+    return this._storage.getTaskRuns(taskId, limit);
+  }
+
+  /**
+   * Get a task by ID.
+   * @param {string} taskId
+   * @returns {import('./types.js').ScheduledTask|undefined}
+   */
+  getTask(taskId) {
+    return this._tasks.get(taskId);
+  }
+
+  /**
+   * List tasks, optionally only those belonging to one group folder.
+   * @param {string} [groupFolder]
+   * @returns {import('./types.js').ScheduledTask[]}
+   */
+  getTasks(groupFolder) {
+    const all = [...this._tasks.values()];
+    return groupFolder ? all.filter((t) => t.group_folder === groupFolder) : all;
+  }
+
+  /**
+   * Handle a task IPC operation from a container. Matches the IpcDeps.onTask
+   * signature; the result (or thrown error) is sent back to the calling tool.
+   * @param {string} type
+   * @param {Object} data
+   * @param {string} sourceGroup
+   * @param {boolean} isMain - Only used when `capabilities` is not given
+   * @param {import('./types.js').GroupCapabilities} [capabilities] - The source group's capabilities
+   * @returns {Promise<{ task_id: string, status: string, next_run?: string|null }>}
+   * @throws {TaskRejectedError} If the operation is invalid or not authorized
+   */
+  async handleIpcTask(type, data, sourceGroup, isMain, capabilities) {
+    await this._load();
+    const caps = capabilities || resolveCapabilities({ folder: sourceGroup, role: isMain ? 'main' : 'member' }, this._config);
+    const required = (crossGroup) => (crossGroup ? 'tasks:others' : 'tasks:own');
+
+    switch (type) {
+      case 'schedule_task': {
+        const groups = await this._getGroups();
+        const source = Object.values(groups).find((g) => g.folder === sourceGroup);
+        const chatJid = data.chat_jid || source?.jid;
+        const target = Object.values(groups).find((g) => g.jid === chatJid);
+
+        // Authorization: scheduling for another group's chat takes tasks:others.
+        // A source that isn't registered has no chat of its own to schedule into.
+        const crossGroup = !source || chatJid !== source.jid;
+        const capability = required(crossGroup);
+        if (!hasCapability(caps, capability)) {
+          this._config.auditLog.record(crossGroup ? 'cross_group_task' : 'capability_denied', {
+            groupFolder: sourceGroup,
+            outcome: 'denied',
+            action: type,
+            ...(!crossGroup && { capability }),
+            targetJid: chatJid,
+            reason: `missing capability ${capability}`,
+          });
+          throw new TaskRejectedError(crossGroup
+            ? 'This group may not schedule tasks for other groups.'
+            : 'This group may not schedule tasks.');
+        }
+
+        const task = await this.scheduleTask({
+          ...data,
+          chat_jid: chatJid,
+          group_folder: target?.folder || sourceGroup,
+        });
+        if (crossGroup) {
+          this._config.auditLog.record('cross_group_task', {
+            groupFolder: sourceGroup,
+            outcome: 'allowed',
+            action: type,
+            targetJid: chatJid,
+            targetGroup: task.group_folder,
+            taskId: task.id,
+          });
+        }
+        return { task_id: task.id, status: task.status, next_run: task.next_run };
+      }
+
+      case 'pause_task':
+      case 'resume_task':
+      case 'cancel_task': {
+        const task = this._tasks.get(data.task_id);
+        const crossGroup = !!task && task.group_folder !== sourceGroup;
+        const allowed = !!task && hasCapability(caps, required(crossGroup));
+        if (task && (crossGroup || !allowed)) {
+          this._config.auditLog.record(crossGroup ? 'cross_group_task' : 'capability_denied', {
+            groupFolder: sourceGroup,
+            outcome: allowed ? 'allowed' : 'denied',
+            action: type,
+            targetGroup: task.group_folder,
+            taskId: task.id,
+            ...(!crossGroup && { capability: required(false) }),
+            ...(!allowed && { reason: `missing capability ${required(crossGroup)}` }),
+          });
+        }
+        if (task && !crossGroup && !allowed) {
+          throw new TaskRejectedError('This group may not manage tasks.');
+        }
+        if (!allowed) {
+          // Don't reveal other groups' task IDs
+          throw new TaskRejectedError(`Task not found: ${data.task_id}`);
+        }
+
+        if (type === 'pause_task') await this.pauseTask(task.id);
+        else if (type === 'resume_task') await this.resumeTask(task.id);
+        else await this.cancelTask(task.id);
+
+        return {
+          task_id: task.id,
+          status: type === 'cancel_task' ? 'cancelled' : task.status,
+          next_run: task.next_run,
+        };
+      }
+
+      default:
+        throw new TaskRejectedError(`Unknown task operation: ${type}`);
+    }
+  }
+
+  /**
+   * Enqueue every active task whose next run is due.
+   * @private
+   */
+  _tick() {
+    const now = Date.now();
+    for (const task of this._tasks.values()) {
+      if (task.status !== 'active' || !task.next_run) continue;
+      if (this._running.has(task.id)) continue;
+      if (new Date(task.next_run).getTime() > now) continue;
+      this._runTask(task).catch((err) => {
+        this._running.delete(task.id);
+        this._log.error(`Failed to start scheduled task: ${task.id}`, { error: err.message });
+      });
+    }
+  }
+
+  /**
+   * Run a due task through the group queue.
+   * @param {import('./types.js').ScheduledTask} task
+   * @private
+   */
+  async _runTask(task) {
+    this._running.add(task.id);
+
+    // Advance the schedule up front so a slow run can't fire twice
+    if (task.schedule_type === 'once') {
+      task.next_run = null;
+    } else {
+      task.next_run = computeNextRun(task).toISOString();
+    }
+    await this._save(task);
+
+    this._queue
+      .enqueueTask(task.chat_jid, task.id, { handler: 'scheduled_task', payload: { taskId: task.id } })
+      .catch((err) => {
+        if (err instanceof QuotaExceededError) return this._skipTask(task, err);
+        this._log.error(`Scheduled task failed: ${task.id}`, { error: err.message });
+      })
+      .finally(() => {
+        this._running.delete(task.id);
+      });
+  }
+
+  /**
+   * Record a run the queue refused. A one-time task has no next run to wait
+   * for, so it is completed rather than left active with nothing scheduled.
+   * @param {import('./types.js').ScheduledTask} task
+   * @param {import('./group-queue.js').QuotaExceededError} err
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _skipTask(task, err) {
+    this._log.warn(`Scheduled task skipped: ${task.id}`, { error: err.message });
+    const skippedAt = new Date().toISOString();
+    try {
+      await this._storage.addTaskRun({
+        task_id: task.id,
+        run_at: skippedAt,
+        duration_ms: 0,
+        status: 'skipped',
+        result: null,
+        error: err.message,
+      });
+    } catch (saveErr) {
+      this._log.error(`Failed to record task run`, { taskId: task.id, error: saveErr.message });
+    }
+
+    // The task may have been cancelled in the meantime
+    const current = this._tasks.get(task.id);
+    if (!current) return;
+    current.last_run = skippedAt;
+    current.last_result = `Skipped: ${err.message}`;
+    if (current.schedule_type === 'once') {
+      current.status = 'completed';
+    }
+    await this._save(current);
+  }
+
+  /**
+   * Run a task handed back by the queue, possibly one replayed after a restart.
+   * @param {string} taskId
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _runQueued(taskId) {
+    await this._load();
+    const task = this._tasks.get(taskId);
+    if (!task) {
+      this._log.warn(`Queued task no longer exists: ${taskId}`);
+      return false;
+    }
+    return this._executeTask(task);
+  }
+
+  /**
+   * Spawn a container for a task and record the outcome.
+   * @param {import('./types.js').ScheduledTask} task
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _executeTask(task) {
+    const groups = await this._getGroups();
+    const registered = Object.values(groups).find((g) => g.folder === task.group_folder);
+    const group = registered
+      ? { ...registered }
+      : { name: task.group_folder, folder: task.group_folder, jid: task.chat_jid };
+    const isMain = resolveCapabilities(registered, this._config).isMain;
+    const startedAt = new Date();
+
+    this._log.info(`Running scheduled task: ${task.id}`, { group: task.group_folder });
+
+    let output;
+    try {
+      output = await runContainerAgent(
+        group,
+        {
+          prompt: task.prompt,
+          // 'resume' picks up the group's stored session; 'fresh' leaves it untouched
+          freshSession: task.context_mode !== 'resume',
+          groupFolder: task.group_folder,
+          chatJid: task.chat_jid,
+          isMain,
+          isScheduledTask: true,
+          taskId: task.id,
+        },
+        (proc, containerName) => {
+          this._queue.registerProcess(task.chat_jid, proc, containerName, task.group_folder);
+        },
+        async (out) => {
+          // Progress events are not forwarded to the chat
+          if ((!out.type || out.type === 'result') && out.result && this._deps.sendMessage) {
+            await this._deps.sendMessage(task.chat_jid, out.result);
+          }
+        },
+        this._config,
+      );
+    } catch (err) {
+      output = { status: 'error', result: null, error: err.message };
+    }
+
+    const resultText = output.result ? output.result.slice(0, 500) : null;
+    try {
+      await this._storage.addTaskRun({
+        task_id: task.id,
+        run_at: startedAt.toISOString(),
+        duration_ms: Date.now() - startedAt.getTime(),
+        status: output.status === 'error' ? 'error' : 'success',
+        result: resultText,
+        error: output.error || null,
+      });
+    } catch (err) {
+      this._log.error(`Failed to record task run`, { taskId: task.id, error: err.message });
+    }
+
+    // The task may have been cancelled while it ran
+    const current = this._tasks.get(task.id);
+    if (current) {
+      current.last_run = startedAt.toISOString();
+      current.last_result = output.status === 'error' ? `Error: ${output.error}` : resultText;
+      if (current.schedule_type === 'once') {
+        current.status = 'completed';
+      }
+      await this._save(current);
+    }
+
+    if (output.status === 'error') {
+      this._log.warn(`Scheduled task finished with error: ${task.id}`, { error: output.error });
+    }
+    // Never throw: a failed run is recorded, not retried
+    return output.status !== 'error';
+  }
+
+  /**
+   * Get registered groups from deps, falling back to storage.
+   * @returns {Promise<Record<string, import('./types.js').RegisteredGroup>>}
+   * @private
+   */
+  async _getGroups() {
+    return this._deps.getRegisteredGroups
+      ? this._deps.getRegisteredGroups()
+      : this._storage.getRegisteredGroups();
+  }
+
+  /**
+   * Load persisted tasks once. A failed load is retried on the next call.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _load() {
+    if (!this._loaded) {
+      this._loaded = (async () => {
+        for (const task of await this._storage.getTasks()) {
+          this._tasks.set(task.id, task);
+        }
+      })().catch((err) => {
+        this._loaded = null;
+        throw err;
+      });
+    }
+    return this._loaded;
+  }
+
+  /**
+   * Persist a task and refresh the per-group snapshots.
+   * @param {import('./types.js').ScheduledTask} task
+   * @private
+   */
+  async _save(task) {
+    try {
+      await this._storage.saveTask(task);
+    } catch (err) {
+      this._log.error(`Failed to persist task`, { taskId: task.id, error: err.message });
+    }
+    await this._writeSnapshots();
+  }
+
+  /**
+   * Write current_tasks.json for every known group so list_tasks stays accurate.
+   * Groups with the tasks:others capability see all tasks; others see only their own.
+   * @private
+   */
+  async _writeSnapshots() {
+    const folders = new Set(this.getTasks().map((t) => t.group_folder));
+    const registered = new Map();
+    try {
+      for (const group of Object.values(await this._getGroups())) {
+        folders.add(group.folder);
+        registered.set(group.folder, group);
+      }
+    } catch (err) {
+      this._log.warn(`Failed to load registered groups`, { error: err.message });
+    }
+
+    for (const folder of folders) {
+      try {
+        const caps = resolveCapabilities(registered.get(folder), this._config);
+        const tasks = hasCapability(caps, 'tasks:others') ? this.getTasks() : this.getTasks(folder);
+        writeTasksSnapshot(folder, tasks, this._config);
+      } catch (err) {
+        this._log.warn(`Failed to write tasks snapshot`, { group: folder, error: err.message });
+      }
+    }
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Tool permission policies. Rules are resolved per group on the host and
+ * evaluated inside the container before each tool call; 'ask' decisions are
+ * forwarded back to the host's onToolApproval callback.
+ * @module tool-policy
+ */
+
+const ACTIONS = new Set(['allow', 'deny', 'ask']);
+
+// Wait this long for an operator decision before denying
+const DEFAULT_APPROVAL_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Validate a policy, throwing on the first problem.
+ * @param {import('./types.js').ToolPolicy} policy
+ * @param {string} [label='toolPolicy'] - Prefix for error messages
+ * @throws {Error} If the policy is malformed
+ */
+export function validateToolPolicy(policy, label = 'toolPolicy') {
+  if (policy.default !== undefined && !ACTIONS.has(policy.default)) {
+    throw new Error(`${label}.default must be 'allow', 'deny' or 'ask', got: ${policy.default}`);
+  }
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    throw new Error(`${label}.rules must be an array`);
+  }
+  (policy.rules || []).forEach((rule, i) => {
+    if (typeof rule.tool !== 'string' || !rule.tool) {
+      throw new Error(`${label}.rules[${i}].tool must be a non-empty string`);
+    }
+    if (rule.pattern !== undefined && typeof rule.pattern !== 'string') {
+      throw new Error(`${label}.rules[${i}].pattern must be a string`);
+    }
+    if (!ACTIONS.has(rule.action)) {
+      throw new Error(`${label}.rules[${i}].action must be 'allow', 'deny' or 'ask', got: ${rule.action}`);
+    }
+  });
+}
+
+/**
+ * Merge the global policy with a group's policy. Group rules are checked first,
+ * so they override global rules for the same tool.
+ * @param {import('./types.js').GroupConfig} group
+ * @param {import('./types.js').JsclawConfig} config
+ * @returns {import('./types.js').ToolPolicy|null} null when no policy applies (all tools allowed)
+ */
+export function resolveToolPolicy(group, config) {
+  const global = config.toolPolicy;
+  const local = group.toolPolicy;
+  if (!global && !local) return null;
+
+  if (global) validateToolPolicy(global, 'config.toolPolicy');
+  if (local) validateToolPolicy(local, `${group.folder}.toolPolicy`);
+
+  return {
+    default: local?.default ?? global?.default ?? 'allow',
+    rules: [...(local?.rules || []), ...(global?.rules || [])],
+    approvalTimeout: local?.approvalTimeout ?? global?.approvalTimeout ?? DEFAULT_APPROVAL_TIMEOUT,
+  };
+}
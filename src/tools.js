@@ -0,0 +1,103 @@
+/**
+ * Registry of host-defined MCP tools. Schemas are shipped to the container at
+ * start, advertised by the in-container MCP server, and calls are routed back
+ * over IPC to the host handler.
+ * @module tools
+ */
+
+// Names used by the built-in tools in container/mcp-server.js
+const BUILTIN_TOOLS = new Set([
+  'send_message',
+  'ask_user',
+  'schedule_task',
+  'list_tasks',
+  'pause_task',
+  'resume_task',
+  'cancel_task',
+]);
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export class ToolRegistry {
+  constructor() {
+    /** @type {Map<string, import('./types.js').HostTool>} */
+    this._tools = new Map();
+  }
+
+  /**
+   * Register a tool. Its handler runs on the host with the calling group's identity.
+   * @param {import('./types.js').HostTool} tool
+   * @returns {this}
+   * @throws {Error} If the definition is invalid or the name is taken
+   */
+  registerTool(tool) {
+    const { name, description, inputSchema, handler } = tool;
+
+    if (!TOOL_NAME_PATTERN.test(name || '')) {
+      throw new Error(`Invalid tool name: ${name}`);
+    }
+    if (BUILTIN_TOOLS.has(name)) {
+      throw new Error(`Tool name is reserved: ${name}`);
+    }
+    if (this._tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${name} requires a handler function`);
+    }
+
+    this._tools.set(name, {
+      ...tool,
+      description: description || '',
+      inputSchema: inputSchema || { type: 'object', properties: {} },
+    });
+    return this;
+  }
+
+  /**
+   * Remove a tool. Containers already running keep advertising it until they exit.
+   * @param {string} name
+   * @returns {boolean} Whether the tool existed
+   */
+  unregisterTool(name) {
+    return this._tools.delete(name);
+  }
+
+  /**
+   * Get a registered tool.
+   * @param {string} name
+   * @returns {import('./types.js').HostTool|undefined}
+   */
+  getTool(name) {
+    return this._tools.get(name);
+  }
+
+  /**
+   * List tool definitions without handlers, as shipped to the container.
+   * @returns {Array<{ name: string, description: string, inputSchema: Object, timeout?: number }>}
+   */
+  listTools() {
+    return [...this._tools.values()].map(({ name, description, inputSchema, timeout }) => ({
+      name,
+      description,
+      inputSchema,
+      ...(timeout && { timeout }),
+    }));
+  }
+
+  /**
+   * Invoke a tool's handler.
+   * @param {string} name
+   * @param {Object} args
+   * @param {import('./types.js').ToolCallContext} context
+   * @returns {Promise<*>}
+   * @throws {Error} If the tool doesn't exist or its handler throws
+   */
+  async callTool(name, args, context) {
+    const tool = this._tools.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    return tool.handler(args || {}, context);
+  }
+}
@@ -10,16 +10,40 @@
  * @property {string} [sessionId] - Resume an existing Claude session
  * @property {string} groupFolder - Folder name for this group's workspace
  * @property {string} chatJid - Identifier for the chat/conversation
- * @property {boolean} isMain - Whether this is the main/admin group
+ * @property {boolean} [isMain] - Ignored; capabilities come from the group registered under `groupFolder`
  * @property {boolean} [isScheduledTask] - Whether this is a scheduled task invocation
+ * @property {boolean} [freshSession] - Start a new session instead of resuming the stored one, and don't store the result
+ * @property {string} [taskId] - Scheduled task being run, recorded in the usage ledger
  */
 
 /**
  * @typedef {Object} ContainerOutput
+ * @property {'result'} [type] - Distinguishes results from progress events (absent from older agent-runner images)
  * @property {'success'|'error'} status
  * @property {string|null} result - The agent's response text
  * @property {string} [newSessionId] - Session ID for conversation continuity
  * @property {string} [error] - Error message if status is 'error'
+ * @property {Usage} [usage] - Tokens, cost and timing of the query, when the SDK reported them
+ * @property {'idle'|'closed'|'timeout'} [reason] - Why the container exited: no message within
+ *   `agentIdleTimeout`, the host's close sentinel, or killed after `containerTimeout`
+ * @property {boolean} [interrupted] - The query was aborted by new input; `result` is the partial reply
+ */
+
+/**
+ * Emitted while the agent works; never the final output of a run.
+ * @typedef {Object} ProgressEvent
+ * @property {'text_delta'|'text'|'thinking'|'tool_use'|'error'} type
+ * @property {string} [text] - Partial text ('text_delta'), a complete text block ('text') or reasoning ('thinking')
+ * @property {'start'|'finish'} [phase] - For 'tool_use'
+ * @property {string|null} [tool] - Tool name, for 'tool_use'
+ * @property {string} [toolUseId] - Pairs a tool's start and finish events
+ * @property {Object} [input] - Tool input with long strings shortened, on 'start'
+ * @property {boolean} [isError] - Whether the tool failed, on 'finish'
+ * @property {string} [error] - Error message, for 'error'
+ */
+
+/**
+ * @typedef {ContainerOutput|ProgressEvent} AgentOutput
  */
 
 /**
@@ -29,11 +53,71 @@
  * @property {number} containerTimeout - Max container idle time in ms (default: 1800000)
  * @property {number} maxOutputSize - Max stdout buffer size in bytes (default: 10485760)
  * @property {number} maxConcurrentContainers - Concurrency limit (default: 5)
- * @property {number} ipcPollInterval - IPC polling interval in ms (default: 1000)
+ * @property {RetryPolicy} retryPolicy - How GroupQueue retries failed work
+ * @property {boolean} queueJournal - Persist pending GroupQueue items in `storage` so they survive restarts (default: false)
+ * @property {number} agentIdleTimeout - ms a container waits for the next message after a result before the agent runner exits it cleanly; 0 waits until closed (default: 300000)
+ * @property {number} messageDebounce - ms the first message check of a burst waits before queuing (default: 0)
+ * @property {number} queueAgingInterval - ms a queued item waits before moving up a priority class; 0 disables aging (default: 60000)
+ * @property {ContainerLimits} containerLimits - Resource limits and hardening for every container (default: none)
+ * @property {GroupQuota} quotas - Quotas applied to every group by GroupQueue (default: none)
+ * @property {AuditOptions} audit - Security audit log settings
+ * @property {number} ipcPollInterval - IPC polling interval in ms when not watching (default: 1000)
+ * @property {boolean} ipcWatch - Watch IPC directories with fs.watch instead of polling (default: true)
+ * @property {number} ipcReconcileInterval - Full IPC sweep interval in ms while watching (default: 30000)
+ * @property {boolean} ipcAuth - Only accept IPC files signed for the group's current container run (default: true)
+ * @property {number} schedulerPollInterval - Due-task check interval in ms (default: 60000)
+ * @property {number} usageRetentionDays - Days of usage records the default file storage keeps; 0 keeps everything (default: 0)
  * @property {string} dataDir - Base directory for IPC/data files
  * @property {string} groupsDir - Base directory for group workspace folders
  * @property {string} [mountAllowlistPath] - Path to mount allowlist JSON
+ * @property {boolean} trustAdditionalMounts - Mount `additionalMounts` without checking the allowlist (default: false)
+ * @property {Record<string, string>} [secrets] - Secrets to make available to containers
+ * @property {string} [secretsFile] - JSON or KEY=VALUE file with more secrets, re-read on every run
+ * @property {string[]} defaultGroupSecrets - Secrets non-main groups get when `group.secrets` is unset
+ * @property {ToolPolicy} [toolPolicy] - Tool permission rules for every group (default: all tools allowed)
+ * @property {boolean} streamPartialText - Emit 'text_delta' progress events as the agent writes (default: true)
+ * @property {'queue'|'interrupt'} interruptMode - What a message piped during a query does: wait for the query to
+ *   finish ('queue') or abort it and restart with the message ('interrupt') (default: 'queue')
+ * @property {Record<string, RoleDefinition>} roles - Extra roles, or overrides of the built-in 'main' and 'member' (default: {})
  * @property {Logger} [logger] - Logger instance (default: console-based)
+ * @property {StorageAdapter} [storage] - Persistence for sessions, tasks and groups (default: JSON files in dataDir/store)
+ * @property {import('./tools.js').ToolRegistry} [tools] - Host-defined MCP tools offered to every container
+ * @property {import('./audit.js').AuditLog} [auditLog] - Where security decisions are recorded (default: built from `audit`)
+ */
+
+/**
+ * @typedef {Object} AuditOptions
+ * @property {boolean} enabled - Write the audit log (default: true)
+ * @property {string} [path] - JSON-lines file (default: dataDir/audit/audit.jsonl)
+ * @property {number} maxSize - Rotate once the file would exceed this many bytes; 0 never rotates (default: 10485760)
+ * @property {number} maxFiles - Rotated files kept as `<path>.1` (newest) to `<path>.N` (default: 5)
+ */
+
+/**
+ * @typedef {'mount_validation'|'container_spawn'|'secret_access'|'cross_group_message'|'cross_group_task'|'tool_decision'|'capability_denied'|'ipc_rejected'} AuditEvent
+ */
+
+/**
+ * One line of the audit log. Besides the common fields, entries carry event-specific details:
+ * `mounts` / `rejected` (mount_validation), `containerName` / `chatJid` / `isMain` / `mounts` (container_spawn),
+ * `secrets` names (secret_access), `targetJid` / `targetGroup` / `action` / `taskId` (cross_group_*),
+ * `tool` / `subject` / `source` (tool_decision), `capability` / `action` (capability_denied),
+ * `channel` / `filename` (ipc_rejected), and `reason` for denials.
+ * @typedef {Object} AuditEntry
+ * @property {string} timestamp - ISO time
+ * @property {AuditEvent} event
+ * @property {string} groupFolder - Group the decision was about
+ * @property {'allowed'|'denied'|'trusted'} outcome - 'trusted' for mounts taken without validation
+ */
+
+/**
+ * @typedef {Object} AuditFilter
+ * @property {AuditEvent|AuditEvent[]} [event]
+ * @property {string} [groupFolder]
+ * @property {'allowed'|'denied'|'trusted'} [outcome]
+ * @property {string|Date} [since] - Inclusive
+ * @property {string|Date} [until] - Inclusive
+ * @property {number} [limit] - Keep only the most recent N matches
  */
 
 /**
@@ -50,11 +134,88 @@
  * @property {string} name - Display name of the group
  * @property {string} folder - Folder name for workspace isolation
  * @property {string} [jid] - Chat identifier
- * @property {boolean} [isMain] - Whether this is the admin group
+ * @property {boolean} [isMain] - Whether this is the admin group; shorthand for `role: 'main'`
+ * @property {string} [role] - Capability preset, see {@link RoleDefinition} (default: 'main' for the admin group, else 'member')
+ * @property {string[]} [capabilities] - Capabilities granted on top of the role's
+ * @property {string[]} [sendTo] - Chats the group may message besides its own
+ * @property {string[]} [tools] - Replaces the role's allowed tool list
  * @property {VolumeMount[]} [additionalMounts] - Extra volume mounts
+ * @property {ContainerLimits} [containerLimits] - Overrides for the global container limits
+ * @property {string[]} [secrets] - Names of the secrets this group receives
+ * @property {string[]} [toolSecrets] - Secrets besides the SDK credential to put in the agent's tool environment
+ * @property {ToolPolicy} [toolPolicy] - Tool permission rules, checked before the global ones
+ * @property {'queue'|'interrupt'} [interruptMode] - Overrides the global interrupt mode
+ */
+
+/**
+ * A named set of capabilities. 'main' and 'member' are built in; `config.roles` adds or replaces roles.
+ * @typedef {Object} RoleDefinition
+ * @property {string[]} capabilities - Any of `CAPABILITIES` from capabilities.js
+ * @property {string[]} [sendTo] - Chats every group with this role may message
+ * @property {string[]} [tools] - Allowed SDK and MCP tool names (default: the container's built-in list)
+ */
+
+/**
+ * What a group may do, resolved from its role and its own settings.
+ * @typedef {Object} GroupCapabilities
+ * @property {string} role
+ * @property {boolean} isMain - Whether the role is 'main'
+ * @property {string[]} capabilities
+ * @property {string[]} sendTo - Chats allowed besides the group's own
+ * @property {string[]} [tools] - Allowed tools, when restricted
  */
 
 /**
+ * @typedef {Object} ToolPolicy
+ * @property {'allow'|'deny'|'ask'} [default] - Action when no rule matches (default: 'allow')
+ * @property {ToolRule[]} [rules] - Checked in order; the first match wins
+ * @property {number} [approvalTimeout] - ms to wait for an 'ask' decision before denying (default: 300000;
+ *   capped a minute below `containerTimeout`)
+ */
+
+/**
+ * @typedef {Object} ToolRule
+ * @property {string} tool - Tool name glob, e.g. 'Bash' or 'mcp__jsclaw__*'
+ * @property {string} [pattern] - Glob matched against the tool's main argument
+ *   (Bash command, file path, URL, search query; JSON of the input for other tools)
+ * @property {'allow'|'deny'|'ask'} action
+ */
+
+/**
+ * @typedef {Object} ToolApprovalRequest
+ * @property {string} tool - Tool name
+ * @property {Object} input - Tool input
+ * @property {ToolRule|null} rule - The rule that asked for approval, or null for the policy default
+ * @property {string} groupFolder
+ * @property {string|undefined} chatJid
+ * @property {boolean} isMain
+ * @property {RegisteredGroup|undefined} group
+ */
+
+/**
+ * Resource limits and hardening flags, translated per runtime.
+ * Apple `container` only supports cpus, memory, tmpfs, user and network.
+ * @typedef {Object} ContainerLimits
+ * @property {number} [cpus] - CPU count, e.g. 1.5 (--cpus)
+ * @property {number} [cpuShares] - Relative CPU weight (--cpu-shares)
+ * @property {number} [cpuPeriod] - CFS period in microseconds (--cpu-period)
+ * @property {number} [cpuQuota] - CFS quota in microseconds (--cpu-quota)
+ * @property {string} [memory] - Memory limit, e.g. '2g' (--memory)
+ * @property {string} [memorySwap] - Memory + swap limit, e.g. '2g' (--memory-swap)
+ * @property {number} [pidsLimit] - Max processes (--pids-limit)
+ * @property {boolean} [readOnlyRootfs] - Read-only root filesystem; /tmp and the agent's home (/root) become tmpfs unless `tmpfs` lists them (--read-only)
+ * @property {string[]} [tmpfs] - Paths to mount as tmpfs scratch space (--tmpfs)
+ * @property {string[]} [capDrop] - Capabilities to drop, e.g. ['ALL'] (--cap-drop)
+ * @property {string[]} [capAdd] - Capabilities to add back (--cap-add)
+ * @property {boolean} [noNewPrivileges] - Block privilege escalation (--security-opt no-new-privileges)
+ * @property {string} [user] - 'uid' or 'uid:gid' to run as (--user)
+ * @property {string} [userns] - User namespace mode, e.g. 'keep-id' on podman (--userns)
+ * @property {string} [network] - 'none', 'bridge' or a named network (--network)
+ */
+
+/**
+ * Extra mount for a group. The legacy snake_case keys (`host_path`,
+ * `container_path`, `read_only`) are still accepted.
  * @typedef {Object} VolumeMount
  * @property {string} hostPath - Absolute path on the host
  * @property {string} containerPath - Path inside the container
@@ -62,16 +223,27 @@
  */
 
 /**
- * @typedef {Object} AdditionalMount
- * @property {string} host_path - Absolute path on the host
- * @property {string} container_path - Path inside the container
- * @property {boolean} [read_only] - Mount as read-only (default: false)
+ * Parsed mount allowlist. Version 1 files (`allowed_roots`, `blocked_patterns`)
+ * are converted to this shape on load.
+ * @typedef {Object} MountAllowlist
+ * @property {2} version
+ * @property {MountRoot[]} roots - Host directories mounts must live under
+ * @property {MountRule[]} rules - Checked in order before the built-in blocked patterns; the first match wins
  */
 
 /**
- * @typedef {Object} MountAllowlist
- * @property {string[]} allowed_roots - Allowed host path prefixes
- * @property {string[]} [blocked_patterns] - Glob patterns to block
+ * @typedef {Object} MountRoot
+ * @property {string} path - Absolute host directory (resolved on load)
+ * @property {boolean} [readOnly] - Mounts from this root are always read-only
+ * @property {boolean} [nonMainReadOnly] - Mounts from this root are read-only for groups other than main
+ * @property {boolean} [mainOnly] - Only the main group may mount from this root
+ * @property {string[]} [groups] - Group folders that may mount from this root (main always may)
+ */
+
+/**
+ * @typedef {Object} MountRule
+ * @property {'allow'|'deny'} action
+ * @property {string} pattern - Glob; without a '/' it matches any single path segment
  */
 
 /**
@@ -81,7 +253,104 @@
  * @property {string|null} containerName - Name of the running container
  * @property {string|null} groupFolder - Folder name for this group
  * @property {boolean} processing - Whether a message is being processed
- * @property {Array<{resolve: Function, reject: Function, fn?: Function, taskId?: string}>} queue - Pending work items
+ * @property {Array<{resolve: Function, reject: Function, fn?: Function, taskId?: string, priority: 'interactive'|'scheduled'|'background', enqueuedAt: number}>} queue - Pending work items, in arrival order
+ * @property {number[]} runTimestamps - When recent work was accepted, for the maxRuns quota
+ * @property {number} lastServed - Serve counter value when the group last got a slot, for round-robin
+ * @property {Set<Object>} retrying - Failed items waiting out their backoff
+ * @property {Object|null} activeItem - Item currently being processed
+ * @property {number|null} startedAt - When the active item started (ms since epoch)
+ * @property {{ item: Object, promise: Promise<*> }|null} pendingCheck - Message check not yet started, which new checks join
+ */
+
+/**
+ * Payload of GroupQueue lifecycle events. Every event has groupJid, taskId,
+ * priority and timestamp; the rest depends on the event.
+ * @typedef {Object} QueueEvent
+ * @property {string} groupJid
+ * @property {string|null} taskId - null for message checks
+ * @property {'interactive'|'scheduled'|'background'} priority
+ * @property {number} timestamp - ms since epoch
+ * @property {number} [attempt] - 1 for the first attempt ('start', 'complete', 'fail'); the upcoming one for 'retry'
+ * @property {number} [waitMs] - Time spent queued ('start')
+ * @property {number} [durationMs] - Processing time ('complete')
+ * @property {number} [delay] - Backoff before the next attempt in ms ('retry')
+ * @property {'exhausted'|'not_retryable'|'quota'|'shutdown'|'unknown_handler'|'piped'|'merged'} [reason] - Why an item failed ('fail'),
+ *   was dropped ('drop') or was absorbed ('coalesce')
+ * @property {Error} [error] - The failure ('retry', 'fail', 'drop')
+ */
+
+/**
+ * @typedef {Object} QueueStatus
+ * @property {number} active - Slots in use
+ * @property {number} maxConcurrent
+ * @property {number} queued - Items waiting across all groups
+ * @property {number} retrying - Items waiting out a backoff
+ * @property {Array<{
+ *   jid: string,
+ *   groupFolder: string|null,
+ *   processing: boolean,
+ *   containerName: string|null,
+ *   queueLength: number,
+ *   oldestWaitMs: number,
+ *   current: { taskId: string|null, priority: string, attempt: number, startedAt: string }|null,
+ *   retrying: Array<{ taskId: string|null, priority: string, nextAttempt: number, retryAt: string }>
+ * }>} groups
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxRetries - Retries after the first attempt (default: 5)
+ * @property {number} baseDelay - ms before the first retry (default: 5000)
+ * @property {number} factor - Delay multiplier per retry (default: 2)
+ * @property {number} maxDelay - Cap on the delay in ms (default: 300000)
+ * @property {number} jitter - Random spread as a fraction of the delay, 0-1 (default: 0.2)
+ * @property {(err: Error, attempts: number) => boolean} [retryable] - Whether a failure is worth retrying
+ *   (default: anything except errors with `retryable: false`)
+ */
+
+/**
+ * @typedef {Object} EnqueueOptions
+ * @property {'interactive'|'scheduled'|'background'} [priority] - Priority class
+ * @property {Partial<RetryPolicy>|false} [retry] - Overrides for the queue's retry policy; false disables retries
+ */
+
+/**
+ * @typedef {Object} GroupAgentOptions
+ * @property {(output: AgentOutput) => Promise<void>} [onOutput] - Receives every output of the run, including replies to piped follow-ups
+ * @property {(proc: import('node:child_process').ChildProcess, containerName: string) => void} [onProcess] - Called after the process is registered with the queue
+ * @property {number} [idleTimeout] - Overrides config.agentIdleTimeout for this run
+ * @property {'interactive'|'scheduled'|'background'} [priority] - Queue priority (default: 'interactive')
+ * @property {Partial<RetryPolicy>|false} [retry] - Queue retry overrides
+ * @property {string} [taskId] - Queue task ID, for deduplication
+ */
+
+/**
+ * @typedef {Object} MessageCheckOptions
+ * @property {'interactive'|'scheduled'|'background'} [priority] - Priority class
+ * @property {Partial<RetryPolicy>|false} [retry] - Overrides for the queue's retry policy; false disables retries
+ * @property {string} [text] - The new message; piped to the group's live container instead of queuing a run
+ * @property {number} [debounce] - ms to hold the first check of a burst before queuing it (default: config.messageDebounce)
+ */
+
+/**
+ * An item that failed for good, as passed to the dead-letter hook.
+ * @typedef {Object} DeadLetter
+ * @property {string} groupJid
+ * @property {string|null} taskId - null for message checks
+ * @property {'interactive'|'scheduled'|'background'} priority
+ * @property {number} attempts - Attempts made, including the first
+ * @property {'exhausted'|'not_retryable'} reason
+ * @property {Error} error - The last failure
+ */
+
+/**
+ * Per-group limits enforced by GroupQueue when work is enqueued. Unset fields are unlimited.
+ * @typedef {Object} GroupQuota
+ * @property {number} [maxRuns] - Work items accepted per window
+ * @property {number} [windowMs] - Sliding window for maxRuns in ms (default: 3600000)
+ * @property {number} [maxQueued] - Items waiting behind the running one
+ * @property {number} [dailyTokens] - Input, output and cache tokens per local day, from the usage ledger
+ * @property {number} [dailyCostUsd] - Spend per local day in USD, from the usage ledger
  */
 
 /**
@@ -91,6 +360,11 @@
  * @property {string} folder - Folder name
  * @property {string} [triggerPattern] - Pattern that triggers the agent
  * @property {boolean} [requiresTrigger] - Whether a trigger is needed
+ * @property {GroupQuota} [quotas] - Overrides for the global quotas
+ * @property {string} [role] - Capability preset (default: 'main' for the 'main' folder, else 'member')
+ * @property {string[]} [capabilities] - Capabilities granted on top of the role's
+ * @property {string[]} [sendTo] - Chats the group may message besides its own
+ * @property {string[]} [tools] - Replaces the role's allowed tool list
  */
 
 /**
@@ -98,19 +372,207 @@
  * @property {string} text - Message text to send
  * @property {string} [targetJid] - Override target chat
  * @property {string} [sender] - Sender name for multi-persona
+ * @property {string} [requestId] - Set when the sender waits for an IpcResponse
  */
 
 /**
  * @typedef {Object} IpcTask
  * @property {'schedule_task'|'pause_task'|'resume_task'|'cancel_task'} type
  * @property {Object} data - Task-specific payload
+ * @property {string} [requestId] - Set when the sender waits for an IpcResponse
+ */
+
+/**
+ * Host reply to an IPC request, written to `ipc/{group}/responses/{requestId}.json`.
+ * @typedef {Object} IpcResponse
+ * @property {string} [requestId]
+ * @property {boolean} ok - Whether the request succeeded
+ * @property {*} [result] - Result payload when ok
+ * @property {string} [error] - Error message when not ok
+ */
+
+/**
+ * A container run's IPC credentials, sent in the stdin payload as `ipcAuth`.
+ * @typedef {Object} IpcRunCredentials
+ * @property {string} runId
+ * @property {string} key - Hex HMAC-SHA256 secret
+ */
+
+/**
+ * Host-side state of a group's current run, in `<dataDir>/ipc-runs/<group>.json`.
+ * @typedef {Object} IpcRunState
+ * @property {string} runId
+ * @property {string} key
+ * @property {string} startedAt - ISO time
+ * @property {Record<string, Record<string, number>>} seen - Highest accepted sequence number by directory, then writer
+ * @property {{ runId: string, key: string, seen: Record<string, Record<string, number>>, pending: string[] }} [previous] - The run
+ *   this one replaced, accepted in the `pending` directories until they have been drained once
+ */
+
+/**
+ * A signed IPC file. `payload` is the JSON-encoded IpcMessage or IpcTask.
+ * @typedef {Object} IpcEnvelope
+ * @property {1} v - Envelope version
+ * @property {string} runId
+ * @property {string} writer - Unique per writing process in the container
+ * @property {number} seq - Per-writer sequence number
+ * @property {'messages'|'tasks'} channel - Directory the file was written to
+ * @property {string} payload
+ * @property {string} mac - Hex HMAC-SHA256 over the other fields
+ */
+
+/**
+ * @typedef {Object} DrainOptions
+ * @property {(name: string) => boolean} [filter] - Only drain matching filenames
+ * @property {(data: Object, filename: string) => ({ ok: true, data: Object } | { ok: false, reason: string })} [verify] - Check each file; `data` replaces the parsed contents
+ * @property {string} [quarantineDir] - Where rejected files go (default: deleted)
+ * @property {(filename: string, reason: string) => void} [onReject] - Called for each rejected file
+ */
+
+/**
+ * @typedef {Object} ScheduledTask
+ * @property {string} id - Unique task identifier
+ * @property {string} group_folder - Folder of the group the task runs in
+ * @property {string} chat_jid - Chat the task's output is sent to
+ * @property {string} prompt - Prompt to run when the task fires
+ * @property {'cron'|'interval'|'once'} schedule_type
+ * @property {string} schedule_value - Cron expression, interval in ms, or ISO date
+ * @property {'fresh'|'resume'} context_mode - Start a new session or resume the group's session
+ * @property {'active'|'paused'|'completed'} status
+ * @property {string|null} next_run - ISO timestamp of the next run
+ * @property {string|null} last_run - ISO timestamp of the last run
+ * @property {string|null} last_result - Truncated result (or error) of the last run
+ * @property {string} created_at - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} TaskRun
+ * @property {string} task_id
+ * @property {string} run_at - ISO timestamp the run started
+ * @property {number} duration_ms
+ * @property {'success'|'error'|'skipped'} status - 'skipped' when a quota kept the run from being queued
+ * @property {string|null} result - Truncated result text
+ * @property {string|null} error
+ */
+
+/**
+ * Token and cost figures for one query, as reported by the SDK.
+ * @typedef {Object} Usage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cacheReadTokens
+ * @property {number} cacheCreationTokens
+ * @property {number} costUsd
+ * @property {number} numTurns
+ * @property {number} durationMs - Wall time of the query
+ * @property {number} durationApiMs - Time spent waiting on the API
+ */
+
+/**
+ * One ledger entry, written for every result output that carries usage.
+ * @typedef {Object} UsageRecord
+ * @property {string} timestamp - ISO timestamp the result arrived
+ * @property {string} groupFolder
+ * @property {string} chatJid
+ * @property {string|null} taskId - Scheduled task that ran, if any
+ * @property {string|null} sessionId
+ * @property {'success'|'error'} status
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cacheReadTokens
+ * @property {number} cacheCreationTokens
+ * @property {number} costUsd
+ * @property {number} numTurns
+ * @property {number} durationMs
+ */
+
+/**
+ * @typedef {Object} UsageFilter
+ * @property {string} [groupFolder]
+ * @property {string} [chatJid]
+ * @property {string} [taskId]
+ * @property {string} [since] - ISO timestamp, inclusive
+ * @property {string} [until] - ISO timestamp, exclusive
+ */
+
+/**
+ * A pending GroupQueue item as persisted when `queueJournal` is on.
+ * @typedef {Object} QueueJournalEntry
+ * @property {string} id
+ * @property {string} groupJid
+ * @property {string|null} taskId
+ * @property {string|null} handler - Registered handler name; null for message checks
+ * @property {*} [payload] - Handler argument
+ * @property {'interactive'|'scheduled'|'background'} priority
+ * @property {Partial<RetryPolicy>|false} [retry] - Retry overrides, without the retryable predicate
+ * @property {number} attempt - Failed attempts so far
+ * @property {number} enqueuedAt - ms since epoch
+ * @property {boolean} running - Whether the item was being processed
+ * @property {string|null} containerName - Container running the item, if registered
+ */
+
+/**
+ * Serializable work for GroupQueue.enqueueTask, run by a handler registered
+ * with `registerHandler`. Unlike closures, these survive a host restart.
+ * @typedef {Object} TaskDescriptor
+ * @property {string} handler - Registered handler name
+ * @property {*} [payload] - JSON-serializable argument for the handler
+ */
+
+/**
+ * Persistence backend. Every method may return its value directly or as a Promise.
+ * @typedef {Object} StorageAdapter
+ * @property {(groupFolder: string) => string|undefined|Promise<string|undefined>} getSession
+ * @property {(groupFolder: string, sessionId: string) => void|Promise<void>} setSession
+ * @property {(groupFolder: string) => void|Promise<void>} deleteSession
+ * @property {() => ScheduledTask[]|Promise<ScheduledTask[]>} getTasks
+ * @property {(taskId: string) => ScheduledTask|undefined|Promise<ScheduledTask|undefined>} getTask
+ * @property {(task: ScheduledTask) => void|Promise<void>} saveTask
+ * @property {(taskId: string) => void|Promise<void>} deleteTask
+ * @property {(run: TaskRun) => void|Promise<void>} addTaskRun
+ * @property {(taskId: string, limit?: number) => TaskRun[]|Promise<TaskRun[]>} getTaskRuns
+ * @property {() => Record<string, RegisteredGroup>|Promise<Record<string, RegisteredGroup>>} getRegisteredGroups - Keyed by jid
+ * @property {(group: RegisteredGroup) => void|Promise<void>} registerGroup
+ * @property {(jid: string) => void|Promise<void>} unregisterGroup
+ * @property {(record: UsageRecord) => void|Promise<void>} addUsage
+ * @property {(filter?: UsageFilter) => UsageRecord[]|Promise<UsageRecord[]>} getUsage
+ * @property {() => QueueJournalEntry[]|Promise<QueueJournalEntry[]>} getQueueItems
+ * @property {(entry: QueueJournalEntry) => void|Promise<void>} saveQueueItem
+ * @property {(id: string) => void|Promise<void>} deleteQueueItem
+ */
+
+/**
+ * @typedef {Object} SchedulerDeps
+ * @property {(jid: string, text: string) => Promise<void>} [sendMessage] - Deliver task output to a chat
+ * @property {() => Record<string, RegisteredGroup>|Promise<Record<string, RegisteredGroup>>} [getRegisteredGroups] - Get registered groups (default: config.storage)
+ */
+
+/**
+ * @typedef {Object} HostTool
+ * @property {string} name - Tool name, exposed to the agent as mcp__jsclaw__{name}
+ * @property {string} [description]
+ * @property {Object} [inputSchema] - JSON Schema for the arguments
+ * @property {number} [timeout] - ms the container waits for the handler (default: JSCLAW_RPC_TIMEOUT)
+ * @property {(args: Object, context: ToolCallContext) => *|Promise<*>} handler - Runs on the host. A string result
+ *   is returned as text, an object with a `content` array is passed through as an MCP result, anything else is JSON-encoded
+ */
+
+/**
+ * @typedef {Object} ToolCallContext
+ * @property {string} groupFolder - Folder of the calling group (from its IPC directory, not self-declared)
+ * @property {string|undefined} chatJid - Chat of the calling group, if registered
+ * @property {boolean} isMain - Whether the caller is the main group
+ * @property {GroupCapabilities} capabilities - What the caller may do
+ * @property {RegisteredGroup|undefined} group - The caller's registered group
  */
 
 /**
  * @typedef {Object} IpcDeps
  * @property {(jid: string, text: string, sender?: string) => Promise<void>} sendMessage - Send a message to a chat
- * @property {(type: string, data: Object, sourceGroup: string, isMain: boolean) => Promise<void>} onTask - Handle task IPC
- * @property {() => Record<string, RegisteredGroup>} getRegisteredGroups - Get registered groups
+ * @property {(type: string, data: Object, sourceGroup: string, isMain: boolean, capabilities: GroupCapabilities) => Promise<*>} onTask - Handle task IPC; the return value (or thrown error) is sent back to the caller. Errors with
+ *   `code: 'TASK_REJECTED'` (see TaskRejectedError) are expected rejections; others are logged and the file kept in `errors/`
+ * @property {() => Record<string, RegisteredGroup>|Promise<Record<string, RegisteredGroup>>} [getRegisteredGroups] - Get registered groups (default: config.storage)
+ * @property {(request: ToolApprovalRequest) => Promise<boolean|{ approved: boolean, reason?: string }>} [onToolApproval] - Decide 'ask' tool calls; without it they are denied
  */
 
 export {};
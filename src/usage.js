@@ -0,0 +1,225 @@
+/**
+ * Usage ledger. Every agent result that reports tokens and cost is recorded by
+ * runContainerAgent in `config.storage`; this module queries, aggregates and
+ * exports those records for reporting and chargeback, and keeps today's
+ * totals in memory for quota checks.
+ * @module usage
+ */
+
+import { createConfig } from './config.js';
+
+// Summed when aggregating records
+const METRICS = [
+  'inputTokens',
+  'outputTokens',
+  'cacheReadTokens',
+  'cacheCreationTokens',
+  'costUsd',
+  'numTurns',
+  'durationMs',
+];
+
+const RECORD_COLUMNS = ['timestamp', 'groupFolder', 'chatJid', 'taskId', 'sessionId', 'status', ...METRICS];
+
+// Record field each summary dimension groups by
+const DIMENSIONS = {
+  group: 'groupFolder',
+  chat: 'chatJid',
+  task: 'taskId',
+};
+
+/**
+ * Add up the metrics of a set of records.
+ * @param {import('./types.js').UsageRecord[]} records
+ * @returns {Object} `runs` plus one total per metric
+ */
+function sumRecords(records) {
+  const totals = { runs: records.length };
+  for (const metric of METRICS) totals[metric] = 0;
+  for (const record of records) {
+    for (const metric of METRICS) totals[metric] += record[metric] || 0;
+  }
+  return totals;
+}
+
+/**
+ * Start of the current local day as an ISO timestamp.
+ * @returns {string}
+ */
+export function startOfDay() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+}
+
+// Today's running totals per storage adapter, shared by every ledger on it:
+// { since, loaded, totals: Map<'group:<folder>'|'chat:<jid>', Object> }
+const dailyTotals = new WeakMap();
+
+/**
+ * Keys a record's totals are kept under.
+ * @param {import('./types.js').UsageRecord} record
+ * @returns {string[]}
+ */
+function totalsKeys(record) {
+  const keys = [];
+  if (record.groupFolder) keys.push(`group:${record.groupFolder}`);
+  if (record.chatJid) keys.push(`chat:${record.chatJid}`);
+  return keys;
+}
+
+/**
+ * Add a record into a totals map.
+ * @param {Map<string, Object>} totals
+ * @param {import('./types.js').UsageRecord} record
+ */
+function addToTotals(totals, record) {
+  for (const key of totalsKeys(record)) {
+    if (!totals.has(key)) totals.set(key, sumRecords([]));
+    const sum = totals.get(key);
+    sum.runs++;
+    for (const metric of METRICS) sum[metric] += record[metric] || 0;
+  }
+}
+
+/**
+ * Quote a CSV field when needed.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Render rows as CSV with a header line.
+ * @param {string[]} columns
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvField(row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export class UsageLedger {
+  /**
+   * @param {import('./types.js').JsclawConfig} [config]
+   */
+  constructor(config) {
+    this._config = config || createConfig();
+  }
+
+  /**
+   * Record a run's usage in storage and in today's running totals.
+   * @param {import('./types.js').UsageRecord} record
+   * @returns {Promise<void>}
+   */
+  async record(record) {
+    const storage = this._config.storage;
+    await storage.addUsage(record);
+    const entry = dailyTotals.get(storage);
+    if (!entry) return;
+    if (!entry.loaded) {
+      // The load in flight may or may not have read this record; start over
+      dailyTotals.delete(storage);
+    } else if (record.timestamp >= entry.since) {
+      addToTotals(entry.totals, record);
+    }
+  }
+
+  /**
+   * Today's totals (since local midnight) for one group or chat. Read from
+   * storage once per day, then kept up to date by `record()`.
+   * @param {{ groupFolder?: string, chatJid?: string }} filter - Exactly one of the two
+   * @returns {Promise<Object>} `runs` plus the summed metrics
+   */
+  async getDailyTotals(filter) {
+    const storage = this._config.storage;
+    const since = startOfDay();
+    let entry = dailyTotals.get(storage);
+    if (!entry || entry.since !== since) {
+      entry = { since, loaded: false, totals: new Map() };
+      entry.ready = (async () => {
+        for (const record of await storage.getUsage({ since })) addToTotals(entry.totals, record);
+        entry.loaded = true;
+      })();
+      entry.ready.catch(() => {
+        if (dailyTotals.get(storage) === entry) dailyTotals.delete(storage);
+      });
+      dailyTotals.set(storage, entry);
+    }
+    await entry.ready;
+    const key = filter.groupFolder ? `group:${filter.groupFolder}` : `chat:${filter.chatJid}`;
+    return { ...(entry.totals.get(key) || sumRecords([])) };
+  }
+
+  /**
+   * Get raw usage records, oldest first.
+   * @param {import('./types.js').UsageFilter} [filter]
+   * @returns {Promise<import('./types.js').UsageRecord[]>}
+   */
+  async getRecords(filter = {}) {
+    return this._config.storage.getUsage(filter);
+  }
+
+  /**
+   * Total usage across every matching record.
+   * @param {import('./types.js').UsageFilter} [filter]
+   * @returns {Promise<Object>} `runs` plus the summed metrics
+   */
+  async getTotals(filter = {}) {
+    return sumRecords(await this.getRecords(filter));
+  }
+
+  /**
+   * Aggregate usage per group, chat or scheduled task, most expensive first.
+   * Summaries by task only include scheduled runs.
+   * @param {'group'|'chat'|'task'} [by='group']
+   * @param {import('./types.js').UsageFilter} [filter]
+   * @returns {Promise<Object[]>} Rows of `{ key, runs, ...metrics }`
+   * @throws {Error} If `by` is not a known dimension
+   */
+  async summarize(by = 'group', filter = {}) {
+    const field = DIMENSIONS[by];
+    if (!field) {
+      throw new Error(`Unknown usage dimension: ${by} (expected group, chat or task)`);
+    }
+
+    const buckets = new Map();
+    for (const record of await this.getRecords(filter)) {
+      const key = record[field];
+      if (key === null || key === undefined) continue;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(record);
+    }
+
+    return [...buckets.entries()]
+      .map(([key, records]) => ({ key, ...sumRecords(records) }))
+      .sort((a, b) => b.costUsd - a.costUsd);
+  }
+
+  /**
+   * Export records, or a summary when `options.by` is set, as CSV or JSON.
+   * @param {'csv'|'json'} [format='json']
+   * @param {import('./types.js').UsageFilter & { by?: 'group'|'chat'|'task' }} [options]
+   * @returns {Promise<string>}
+   * @throws {Error} If the format is not supported
+   */
+  async export(format = 'json', options = {}) {
+    const { by, ...filter } = options;
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error(`Unsupported export format: ${format} (expected csv or json)`);
+    }
+
+    const rows = by ? await this.summarize(by, filter) : await this.getRecords(filter);
+    if (format === 'json') {
+      return JSON.stringify(rows, null, 2);
+    }
+    return toCsv(by ? ['key', 'runs', ...METRICS] : RECORD_COLUMNS, rows);
+  }
+}
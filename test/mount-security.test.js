@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, realpathSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseMountAllowlist, validateMount } from '../src/mount-security.js';
+
+function setup() {
+  const root = realpathSync(mkdtempSync(join(tmpdir(), 'jsclaw-mounts-')));
+  const data = join(root, 'data');
+  mkdirSync(join(data, 'ok'), { recursive: true });
+  mkdirSync(join(data, '.ssh'));
+  writeFileSync(join(data, 'k.pem'), '');
+  return { root, data };
+}
+
+function check(allowlist, hostPath) {
+  return validateMount({ hostPath, containerPath: '/mnt/data' }, true, allowlist);
+}
+
+test('a deny rule after an allow rule still applies below the allowed directory', () => {
+  const { root, data } = setup();
+  try {
+    const allowlist = parseMountAllowlist({
+      version: 2,
+      roots: [{ path: root }],
+      rules: [
+        { action: 'allow', pattern: data },
+        { action: 'deny', pattern: '*.pem' },
+      ],
+    });
+    assert.equal(check(allowlist, data).valid, true);
+    assert.equal(check(allowlist, join(data, 'ok')).valid, true);
+    const pem = check(allowlist, join(data, 'k.pem'));
+    assert.equal(pem.valid, false);
+    assert.match(pem.reason, /deny rule '\*\.pem'/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('an allow rule does not exempt built-in patterns below it', () => {
+  const { root, data } = setup();
+  try {
+    const allowlist = parseMountAllowlist({
+      version: 2,
+      roots: [{ path: root }],
+      rules: [{ action: 'allow', pattern: data }],
+    });
+    const ssh = check(allowlist, join(data, '.ssh'));
+    assert.equal(ssh.valid, false);
+    assert.match(ssh.reason, /blocked pattern '\.ssh'/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('the first rule matching a directory decides for it', () => {
+  const { root, data } = setup();
+  try {
+    const allowlist = parseMountAllowlist({
+      version: 2,
+      roots: [{ path: root }],
+      rules: [
+        { action: 'deny', pattern: data },
+        { action: 'allow', pattern: join(data, 'ok') },
+      ],
+    });
+    assert.equal(check(allowlist, join(data, 'ok')).valid, false);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});